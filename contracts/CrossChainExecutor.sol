@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./interfaces/IBridgeReceiver.sol";
+import "./libraries/ProposalActionLib.sol";
+
+/**
+ * @title CrossChainExecutor
+ * @dev Runs Swift v2 proposal actions on a chain other than the governance contract's.
+ * A proposal action calls an `IBridgeAdapter` on the governance chain with an encoded list of
+ * actions; the bridge delivers it here and the executor calls each target in order.
+ * Only messages sent by the governance contract on its chain, delivered by the configured bridge,
+ * are executed, and each message ID runs at most once. Contracts on this chain should grant
+ * their admin rights to the executor.
+ * @author Swift v2 Team
+ */
+contract CrossChainExecutor is IBridgeReceiver, ReentrancyGuard {
+    // Events
+    event MessageExecuted(bytes32 indexed messageId, uint256 actionsCount);
+
+    event ActionExecuted(
+        bytes32 indexed messageId,
+        uint256 indexed index,
+        bytes returnData
+    );
+
+    event BridgeUpdated(address indexed previousBridge, address indexed newBridge);
+
+    event ETHReceived(address indexed sender, uint256 amount);
+
+    // Errors
+    error ActionExecutionFailed(uint256 index, bytes returnData);
+
+    // State variables
+    uint256 public immutable governanceChainId;
+    address public immutable governance;
+
+    // Bridge endpoint on this chain allowed to deliver messages
+    address public bridge;
+
+    mapping(bytes32 => bool) public executedMessages;
+
+    // Modifiers
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only executor");
+        _;
+    }
+
+    /**
+     * @param _bridge Bridge endpoint on this chain that calls `receiveMessage`
+     * @param _governanceChainId Chain ID the governance contract is deployed on
+     * @param _governance Governance contract whose messages are executed
+     */
+    constructor(address _bridge, uint256 _governanceChainId, address _governance) {
+        require(_bridge != address(0), "Invalid bridge address");
+        require(_governanceChainId != 0, "Invalid chain ID");
+        require(_governance != address(0), "Invalid governance address");
+
+        bridge = _bridge;
+        governanceChainId = _governanceChainId;
+        governance = _governance;
+    }
+
+    /**
+     * @dev Receive ETH used as action values
+     */
+    receive() external payable {
+        emit ETHReceived(msg.sender, msg.value);
+    }
+
+    // ============ Message Execution ============
+
+    /**
+     * @dev Execute a governance message: an ABI-encoded `ProposalAction[]`.
+     * Actions run atomically; when one fails the message reverts and stays unexecuted,
+     * so the bridge can deliver it again once the cause is fixed.
+     * @param _sourceChainId Chain ID the message was sent from
+     * @param _sender Address that sent the message on the source chain
+     * @param _messageId Bridge message ID, executed at most once
+     * @param _payload ABI-encoded `ProposalActionLib.ProposalAction[]`
+     */
+    function receiveMessage(
+        uint256 _sourceChainId,
+        address _sender,
+        bytes32 _messageId,
+        bytes calldata _payload
+    ) external override nonReentrant {
+        require(msg.sender == bridge, "Only bridge");
+        require(_sourceChainId == governanceChainId && _sender == governance, "Unknown sender");
+        require(!executedMessages[_messageId], "Message already executed");
+
+        executedMessages[_messageId] = true;
+
+        ProposalActionLib.ProposalAction[] memory actions = abi.decode(_payload, (ProposalActionLib.ProposalAction[]));
+        uint256 actionsLength = actions.length;
+        require(actionsLength > 0, "No actions");
+
+        for (uint256 i = 0; i < actionsLength;) {
+            ProposalActionLib.ProposalAction memory action = actions[i];
+
+            (bool success, bytes memory returnData) = action.target.call{value: action.value}(
+                ProposalActionLib.callData(action.signature, action.data)
+            );
+            if (!success) {
+                revert ActionExecutionFailed(i, returnData);
+            }
+            emit ActionExecuted(_messageId, i, returnData);
+
+            unchecked { ++i; }
+        }
+
+        emit MessageExecuted(_messageId, actionsLength);
+    }
+
+    // ============ Admin Functions (via governance message) ============
+
+    /**
+     * @dev Move to another bridge endpoint (only via an executed governance message)
+     * @param _bridge New bridge endpoint on this chain
+     */
+    function setBridge(address _bridge) external onlySelf {
+        require(_bridge != address(0), "Invalid bridge address");
+
+        emit BridgeUpdated(bridge, _bridge);
+        bridge = _bridge;
+    }
+}
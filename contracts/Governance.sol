@@ -1,25 +1,79 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./libraries/DelegationLib.sol";
+import "./libraries/ProposalActionLib.sol";
+import "./libraries/ProposalLib.sol";
 
 /**
  * @title Governance
  * @dev A DAO governance contract for Swift v2 platform
  * @author Swift v2 Team
- * @notice Enhanced with security features, gas optimizations, and input validation
+ * @notice Enhanced with security features, gas optimizations, and input validation.
+ * Deployed behind a transparent proxy whose ProxyAdmin is owned by the governance proxy itself,
+ * so upgrades only happen through executed proposals. New state variables go after the existing ones.
  */
-contract Governance is ReentrancyGuard, Pausable, Ownable {
+contract Governance is
+    Initializable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    AccessControlUpgradeable,
+    EIP712Upgradeable
+{
     using Counters for Counters.Counter;
+    // Delegation, action and proposal logic live in linked libraries so Governance stays under
+    // the EIP-170 size limit. Events and errors they emit are redeclared below for the ABI.
+    using DelegationLib for DelegationLib.Ledger;
+    using ProposalActionLib for ProposalActionLib.ProposalAction[];
+    using ProposalLib for ProposalLib.Proposal;
 
     // Constants - Input validation limits
     uint256 public constant MAX_TITLE_LENGTH = 100;
     uint256 public constant MAX_DESCRIPTION_LENGTH = 5000;
     uint256 public constant MAX_ACTIONS_PER_PROPOSAL = 10;
+    uint256 public constant MAX_PROPOSALS_PER_PAGE = 100;
+
+    // Constants - Governance parameter bounds
+    uint256 public constant MIN_VOTING_DELAY = 1 hours;
+    uint256 public constant MAX_VOTING_DELAY = 14 days;
+    uint256 public constant MIN_VOTING_PERIOD = 1 days;
+    uint256 public constant MAX_VOTING_PERIOD = 30 days;
+    uint256 public constant MIN_EXECUTION_DELAY = 1 hours;
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+    uint256 public constant QUORUM_DENOMINATOR = 10000; // Quorum numerator is in basis points of total supply
+
+    // Who may create proposals
+    enum ProposalMode {
+        Whitelist, // Whitelisted accounts holding the proposal threshold
+        Threshold, // Any account holding the proposal threshold
+        WhitelistOrThreshold // Whitelisted accounts, or any account holding the threshold
+    }
+
+    // Constants - Roles, all administered by DEFAULT_ADMIN_ROLE (held by the governance contract itself)
+    bytes32 public constant WHITELIST_MANAGER_ROLE = keccak256("WHITELIST_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    uint256 public constant GRACE_PERIOD = ProposalLib.GRACE_PERIOD;
+    uint8 public constant SUPPORT_FRACTIONAL = ProposalLib.SUPPORT_FRACTIONAL;
+    uint256 public constant MAX_DELEGATES = DelegationLib.MAX_DELEGATES;
+    uint256 public constant DELEGATION_DENOMINATOR = DelegationLib.SHARE_DENOMINATOR;
+
+    // EIP-712 typehashes for gasless voting and delegation
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 support,address voter,uint256 nonce,uint256 expiry)");
+    bytes32 public constant EXTENDED_BALLOT_TYPEHASH =
+        keccak256("ExtendedBallot(uint256 proposalId,uint8 support,address voter,string reason,uint256 nonce,uint256 expiry)");
+    bytes32 public constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegator,address delegatee,uint256 nonce,uint256 expiry)");
 
     // Events
     event ProposalCreated(
@@ -31,6 +85,7 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         uint256 endTime
     );
 
+    // Voting events are emitted by ProposalLib
     event VoteCast(
         uint256 indexed proposalId,
         address indexed voter,
@@ -39,23 +94,70 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         string reason
     );
 
+    event VoteCastFractional(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint256 forWeight,
+        uint256 againstWeight,
+        uint256 abstainWeight
+    );
+
+    event VoteChanged(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint8 previousSupport,
+        uint256 previousWeight
+    );
+
+    event ProposalQueued(
+        uint256 indexed proposalId,
+        uint256 eta
+    );
+
     event ProposalExecuted(
         uint256 indexed proposalId,
         address indexed executor
     );
 
+    // Emitted by ProposalActionLib for every action run
+    event ActionExecuted(
+        uint256 indexed proposalId,
+        uint256 indexed index,
+        bool success,
+        bytes returnData
+    );
+
     event ProposalCancelled(
         uint256 indexed proposalId,
         address indexed canceller,
         bool byAdmin
     );
 
+    event ProposalCancelledBelowThreshold(
+        uint256 indexed proposalId,
+        address indexed canceller,
+        uint256 proposerVotes
+    );
+
+    event ProposalVetoed(
+        uint256 indexed proposalId,
+        address indexed guardian,
+        string reason
+    );
+
+    // Delegation events are emitted by DelegationLib
     event DelegateChanged(
         address indexed delegator,
         address indexed fromDelegate,
         address indexed toDelegate
     );
 
+    event DelegationShareUpdated(
+        address indexed delegator,
+        address indexed delegatee,
+        uint256 shareBps
+    );
+
     event VotingPowerUpdated(
         address indexed user,
         uint256 oldPower,
@@ -67,71 +169,105 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         bool status
     );
 
-    event ETHWithdrawn(
-        address indexed recipient,
+    event AllowedTargetUpdated(address indexed target, bool allowed);
+    event AllowedSelectorUpdated(address indexed target, bytes4 indexed selector, bool allowed);
+    event ActionAllowlistEnabledUpdated(bool enabled);
+
+    // Deposit events are emitted by ProposalLib
+    event ProposalDepositRefunded(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        uint256 amount
+    );
+
+    event ProposalDepositForfeited(
+        uint256 indexed proposalId,
         uint256 amount
     );
 
-    // Structs
-    struct Proposal {
-        uint256 id;
-        address proposer;
-        string title;
-        string description;
-        uint256 startTime;
-        uint256 endTime;
-        uint256 forVotes;
-        uint256 againstVotes;
-        uint256 abstainVotes;
-        bool executed;
-        bool cancelled;
-        mapping(address => bool) hasVoted;
-        mapping(address => uint256) votes;
-    }
+    event ETHSweptToTreasury(
+        address indexed treasury,
+        uint256 amount
+    );
 
-    struct ProposalAction {
-        address target;
-        uint256 value;
-        string signature;
-        bytes data;
-    }
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
 
-    struct Delegate {
-        address delegate;
-        uint256 delegatedVotes;
-        uint256 lastDelegationTime;
-    }
+    event VotingDelayUpdated(uint256 oldVotingDelay, uint256 newVotingDelay);
+    event VotingPeriodUpdated(uint256 oldVotingPeriod, uint256 newVotingPeriod);
+    event ProposalThresholdUpdated(uint256 oldProposalThreshold, uint256 newProposalThreshold);
+    event QuorumNumeratorUpdated(uint256 oldQuorumNumerator, uint256 newQuorumNumerator);
+    event QuorumCountsAbstainUpdated(bool countsAbstain);
+    event ExecutionDelayUpdated(uint256 oldExecutionDelay, uint256 newExecutionDelay);
+    event VoteChangesAllowedUpdated(bool allowed);
+    event ProposalModeUpdated(ProposalMode oldMode, ProposalMode newMode);
+    event ProposalDepositUpdated(uint256 oldDeposit, uint256 newDeposit);
+
+    // Errors - reverted by ProposalActionLib, which carries the target's revert data
+    error ActionExecutionFailed(uint256 index, bytes returnData);
+    error InvalidProposalAction(uint256 index, string reason);
+    // Replaces AccessControl's string revert, whose hex formatting does not fit under the size limit
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
 
     // State variables
     Counters.Counter private _proposalIdCounter;
     
-    mapping(uint256 => Proposal) public proposals;
-    mapping(uint256 => ProposalAction[]) public proposalActions;
-    mapping(address => Delegate) public delegates;
-    mapping(address => uint256) public votingPower;
+    mapping(uint256 => ProposalLib.Proposal) private _proposals;
+    mapping(uint256 => ProposalActionLib.ProposalAction[]) public proposalActions;
     mapping(address => bool) public isWhitelisted;
+
+    // Callable targets for proposal actions, either whole contracts or single functions
+    mapping(address => bool) public allowedTargets;
+    mapping(address => mapping(bytes4 => bool)) public allowedSelectors;
+    bool public actionAllowlistEnabled;
+
+    // Delegations, voting power and its history per account
+    DelegationLib.Ledger private _ledger;
+
+    // Signature nonces per signer, shared by ballots and delegations
+    mapping(address => Counters.Counter) private _nonces;
     
-    IERC20 public immutable governanceToken;
+    IERC20 public governanceToken;
     
-    uint256 public constant VOTING_DELAY = 1 days;
-    uint256 public constant VOTING_PERIOD = 3 days;
-    uint256 public constant PROPOSAL_THRESHOLD = 1000 * 10**18; // 1000 tokens
-    uint256 public constant QUORUM_THRESHOLD = 10000 * 10**18; // 10000 tokens
-    uint256 public constant EXECUTION_DELAY = 1 days;
+    // Governance parameters - changeable only through executed proposals
+    uint256 public votingDelay;
+    uint256 public votingPeriod;
+    uint256 public proposalThreshold;
+    uint256 public quorumNumerator;
+    bool public quorumCountsAbstain;
+    uint256 public executionDelay;
+
+    // Whether voters may re-cast or retract ballots while voting is active
+    bool public voteChangesAllowed;
+
+    // Treasury contract holding the DAO's assets; stray ETH here can only be swept to it
+    address payable public treasury;
+
+    // Who may propose; whitelist-only until governance opens it up
+    ProposalMode public proposalMode;
+
+    // Governance tokens a proposer locks per proposal, refunded unless it is vetoed or misses quorum
+    uint256 public proposalDeposit;
+
+    // Proposals whose proposer relied on the whitelist rather than the threshold (WhitelistOrThreshold mode)
+    mapping(uint256 => bool) public admittedByWhitelist;
+
+    // ETH the actions of queued proposals will send, which treasury sweeps leave in place
+    uint256 public reservedETH;
 
     // Modifiers
-    modifier onlyWhitelisted() {
-        require(isWhitelisted[msg.sender] || msg.sender == owner(), "Not whitelisted");
+    // Checks used by several functions live in private functions so their code is not repeated per use
+    modifier onlyGovernance() {
+        _checkGovernance();
         _;
     }
 
     modifier proposalExists(uint256 _proposalId) {
-        require(_proposalId > 0 && _proposalId <= _proposalIdCounter.current(), "Proposal does not exist");
+        _checkProposalExists(_proposalId);
         _;
     }
 
     modifier proposalActive(uint256 _proposalId) {
-        Proposal storage proposal = proposals[_proposalId];
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
         require(block.timestamp >= proposal.startTime, "Voting not started");
         require(block.timestamp <= proposal.endTime, "Voting ended");
         require(!proposal.executed, "Proposal executed");
@@ -140,18 +276,66 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
     }
 
     modifier proposalExecutable(uint256 _proposalId) {
-        Proposal storage proposal = proposals[_proposalId];
-        require(block.timestamp >= proposal.endTime + EXECUTION_DELAY, "Execution delay not met");
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        require(proposal.eta != 0, "Proposal not queued");
+        require(block.timestamp >= proposal.eta, "Execution delay not met");
+        require(block.timestamp <= proposal.eta + GRACE_PERIOD, "Proposal expired");
         require(!proposal.executed, "Proposal executed");
         require(!proposal.cancelled, "Proposal cancelled");
-        require(proposal.forVotes > proposal.againstVotes, "Proposal not passed");
-        require(proposal.forVotes + proposal.againstVotes + proposal.abstainVotes >= QUORUM_THRESHOLD, "Quorum not met");
         _;
     }
 
-    constructor(address _governanceToken) {
+    /**
+     * @dev Implementations are only used through the proxy, never initialized directly
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy. The deployer and the contract itself start as admins. The deployer
+     * grants the operational roles, then renounces DEFAULT_ADMIN_ROLE to leave the DAO in control.
+     * EIP712Upgradeable needs no initializer call because its name and version are constant overrides.
+     * @param _governanceToken ERC20 token whose balances back voting power
+     * @param _votingDelay Delay between proposal creation and voting start
+     * @param _votingPeriod Duration of the voting window
+     * @param _proposalThreshold Voting power required to create a proposal
+     * @param _quorumNumerator Share of total supply required for quorum, in basis points
+     * @param _quorumCountsAbstain Whether abstain votes count toward quorum
+     * @param _executionDelay Delay between queueing and execution
+     * @param _guardian Address granted GUARDIAN_ROLE to veto proposals before they run (zero for none)
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initialize(
+        address _governanceToken,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        uint256 _proposalThreshold,
+        uint256 _quorumNumerator,
+        bool _quorumCountsAbstain,
+        uint256 _executionDelay,
+        address _guardian
+    ) external initializer {
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __AccessControl_init();
+
         require(_governanceToken != address(0), "Invalid governance token address");
         governanceToken = IERC20(_governanceToken);
+
+        _setVotingDelay(_votingDelay);
+        _setVotingPeriod(_votingPeriod);
+        _setProposalThreshold(_proposalThreshold);
+        _setQuorumNumerator(_quorumNumerator);
+        _setQuorumCountsAbstain(_quorumCountsAbstain);
+        _setExecutionDelay(_executionDelay);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(DEFAULT_ADMIN_ROLE, address(this));
+        if (_guardian != address(0)) {
+            _grantRole(GUARDIAN_ROLE, _guardian);
+        }
         
         unchecked {
             _proposalIdCounter.increment();
@@ -162,7 +346,7 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Create a new proposal
+     * @dev Create a new proposal whose actions execute atomically
      * @param _title Title of the proposal (max 100 chars)
      * @param _description Description of the proposal (max 5000 chars)
      * @param _actions Array of actions to execute if proposal passes (max 10)
@@ -170,9 +354,40 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
     function createProposal(
         string memory _title,
         string memory _description,
-        ProposalAction[] memory _actions
-    ) external onlyWhitelisted whenNotPaused returns (uint256 proposalId) {
-        require(votingPower[msg.sender] >= PROPOSAL_THRESHOLD, "Insufficient voting power");
+        ProposalActionLib.ProposalAction[] memory _actions
+    ) external returns (uint256) {
+        return _createProposal(_title, _description, _actions, ProposalActionLib.ExecutionMode.Atomic);
+    }
+
+    /**
+     * @dev Create a new proposal with an explicit execution mode
+     * @param _title Title of the proposal (max 100 chars)
+     * @param _description Description of the proposal (max 5000 chars)
+     * @param _actions Array of actions to execute if proposal passes (max 10)
+     * @param _executionMode Atomic (any failing action reverts execution) or BestEffort (failures are recorded and skipped)
+     */
+    function createProposalWithMode(
+        string memory _title,
+        string memory _description,
+        ProposalActionLib.ProposalAction[] memory _actions,
+        ProposalActionLib.ExecutionMode _executionMode
+    ) external returns (uint256) {
+        return _createProposal(_title, _description, _actions, _executionMode);
+    }
+
+    function _createProposal(
+        string memory _title,
+        string memory _description,
+        ProposalActionLib.ProposalAction[] memory _actions,
+        ProposalActionLib.ExecutionMode _executionMode
+    ) internal whenNotPaused returns (uint256 proposalId) {
+        bool whitelisted = isWhitelisted[msg.sender] || hasRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        require(whitelisted || proposalMode != ProposalMode.Whitelist, "Not whitelisted");
+        bool byWhitelist = whitelisted && proposalMode == ProposalMode.WhitelistOrThreshold;
+        if (!byWhitelist) {
+            // The deposit leaves the proposer's balance, so the threshold must still hold once it is locked
+            require(_ledger.votingPower[msg.sender] >= proposalThreshold + proposalDeposit, "Insufficient voting power");
+        }
         
         // Input validation
         uint256 titleLength = bytes(_title).length;
@@ -181,29 +396,42 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         require(descLength > 0 && descLength <= MAX_DESCRIPTION_LENGTH, "Invalid description length");
         require(_actions.length > 0 && _actions.length <= MAX_ACTIONS_PER_PROPOSAL, "Invalid actions count");
 
+        (bool actionsValid, uint256 invalidIndex, string memory invalidReason) = validateProposalActions(_actions);
+        if (!actionsValid) {
+            revert InvalidProposalAction(invalidIndex, invalidReason);
+        }
+
         proposalId = _proposalIdCounter.current();
         
         unchecked {
             _proposalIdCounter.increment();
         }
 
-        Proposal storage proposal = proposals[proposalId];
+        ProposalLib.Proposal storage proposal = _proposals[proposalId];
         proposal.id = proposalId;
         proposal.proposer = msg.sender;
         proposal.title = _title;
         proposal.description = _description;
-        proposal.startTime = block.timestamp + VOTING_DELAY;
-        proposal.endTime = block.timestamp + VOTING_DELAY + VOTING_PERIOD;
+        proposal.startTime = block.timestamp + votingDelay;
+        proposal.endTime = proposal.startTime + votingPeriod;
+        // Weights are read at the end of the previous block so they cannot be moved after creation
+        proposal.snapshot = block.number - 1;
+        proposal.quorumVotes = governanceToken.totalSupply() * quorumNumerator / QUORUM_DENOMINATOR;
+        proposal.quorumCountsAbstain = quorumCountsAbstain;
+        proposal.executionDelay = executionDelay;
+        proposal.proposalThreshold = proposalThreshold;
+        proposal.voteChangesAllowed = voteChangesAllowed;
+        proposal.executionMode = _executionMode;
         proposal.executed = false;
         proposal.cancelled = false;
 
-        // Add actions
-        uint256 actionsLength = _actions.length;
-        for (uint256 i = 0; i < actionsLength;) {
-            proposalActions[proposalId].push(_actions[i]);
-            unchecked { ++i; }
+        proposalActions[proposalId].storeActions(_actions);
+        if (byWhitelist) {
+            admittedByWhitelist[proposalId] = true;
         }
 
+        proposal.lockDeposit(governanceToken, proposalDeposit);
+
         emit ProposalCreated(proposalId, msg.sender, _title, _description, proposal.startTime, proposal.endTime);
     }
 
@@ -217,31 +445,137 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         uint256 _proposalId,
         uint8 _support,
         string memory _reason
-    ) external proposalExists(_proposalId) proposalActive(_proposalId) whenNotPaused {
-        require(_support <= 2, "Invalid support value");
-        
-        Proposal storage proposal = proposals[_proposalId];
-        require(!proposal.hasVoted[msg.sender], "Already voted");
+    ) external whenNotPaused {
+        _castVote(_proposalId, msg.sender, _support, _reason);
+    }
 
-        uint256 weight = votingPower[msg.sender];
-        require(weight > 0, "No voting power");
+    /**
+     * @dev Vote on a proposal with an EIP-712 signature from the voter
+     * @param _proposalId ID of the proposal
+     * @param _support Support level (0 = against, 1 = for, 2 = abstain)
+     * @param _voter Address that signed the ballot (EOA or ERC-1271 contract)
+     * @param _expiry Timestamp after which the signature is no longer valid
+     * @param _signature Signature over the Ballot typed data
+     */
+    function castVoteBySig(
+        uint256 _proposalId,
+        uint8 _support,
+        address _voter,
+        uint256 _expiry,
+        bytes memory _signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, _proposalId, _support, _voter, _useNonce(_voter), _expiry)
+        );
+        _checkSignature(_voter, structHash, _expiry, _signature);
 
-        proposal.hasVoted[msg.sender] = true;
-        proposal.votes[msg.sender] = weight;
+        _castVote(_proposalId, _voter, _support, "");
+    }
 
-        if (_support == 0) {
-            proposal.againstVotes += weight;
-        } else if (_support == 1) {
-            proposal.forVotes += weight;
-        } else {
-            proposal.abstainVotes += weight;
-        }
+    /**
+     * @dev Vote on a proposal with a reason and an EIP-712 signature from the voter
+     * @param _proposalId ID of the proposal
+     * @param _support Support level (0 = against, 1 = for, 2 = abstain)
+     * @param _voter Address that signed the ballot (EOA or ERC-1271 contract)
+     * @param _reason Reason for the vote
+     * @param _expiry Timestamp after which the signature is no longer valid
+     * @param _signature Signature over the ExtendedBallot typed data
+     */
+    function castVoteWithReasonBySig(
+        uint256 _proposalId,
+        uint8 _support,
+        address _voter,
+        string memory _reason,
+        uint256 _expiry,
+        bytes memory _signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                EXTENDED_BALLOT_TYPEHASH,
+                _proposalId,
+                _support,
+                _voter,
+                keccak256(bytes(_reason)),
+                _useNonce(_voter),
+                _expiry
+            )
+        );
+        _checkSignature(_voter, structHash, _expiry, _signature);
+
+        _castVote(_proposalId, _voter, _support, _reason);
+    }
+
+    /**
+     * @dev Split snapshot weight across for, against and abstain.
+     * Can be called repeatedly until the voter's full weight is used.
+     * @param _proposalId ID of the proposal
+     * @param _forWeight Weight to add in favour
+     * @param _againstWeight Weight to add against
+     * @param _abstainWeight Weight to add as abstain
+     * @param _reason Reason for this part of the vote
+     */
+    function castVoteFractional(
+        uint256 _proposalId,
+        uint256 _forWeight,
+        uint256 _againstWeight,
+        uint256 _abstainWeight,
+        string memory _reason
+    ) external proposalExists(_proposalId) proposalActive(_proposalId) whenNotPaused {
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        proposal.castVoteFractional(
+            msg.sender,
+            _forWeight,
+            _againstWeight,
+            _abstainWeight,
+            getPastVotingPower(msg.sender, proposal.snapshot),
+            _reason
+        );
+    }
+
+    /**
+     * @dev Withdraw a ballot while voting is active (only when vote changes are allowed)
+     * @param _proposalId ID of the proposal
+     */
+    function retractVote(uint256 _proposalId)
+        external
+        proposalExists(_proposalId)
+        proposalActive(_proposalId)
+        whenNotPaused
+    {
+        _proposals[_proposalId].retractVote(msg.sender);
+    }
+
+    /**
+     * @dev Record a vote for a voter and add its snapshot weight to the tally.
+     * A previous ballot is replaced when the proposal allows vote changes.
+     */
+    function _castVote(
+        uint256 _proposalId,
+        address _voter,
+        uint8 _support,
+        string memory _reason
+    ) internal proposalExists(_proposalId) proposalActive(_proposalId) {
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        proposal.castVote(_voter, _support, getPastVotingPower(_voter, proposal.snapshot), _reason);
+    }
 
-        emit VoteCast(_proposalId, msg.sender, _support, weight, _reason);
+    /**
+     * @dev Queue a succeeded proposal for execution after the execution delay
+     * @param _proposalId ID of the proposal to queue
+     */
+    function queueProposal(uint256 _proposalId)
+        external
+        proposalExists(_proposalId)
+        whenNotPaused
+    {
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        uint256 eta = proposal.queue(proposalActions[_proposalId]);
+        reservedETH += proposal.reservedValue;
+        emit ProposalQueued(_proposalId, eta);
     }
 
     /**
-     * @dev Execute a proposal
+     * @dev Execute a queued proposal within its grace period
      * @param _proposalId ID of the proposal to execute
      */
     function executeProposal(uint256 _proposalId) 
@@ -251,48 +585,82 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         nonReentrant
         whenNotPaused
     {
-        Proposal storage proposal = proposals[_proposalId];
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
         proposal.executed = true;
+        _releaseReservedETH(proposal);
 
-        ProposalAction[] storage actions = proposalActions[_proposalId];
-        uint256 actionsLength = actions.length;
-        
-        for (uint256 i = 0; i < actionsLength;) {
-            ProposalAction storage action = actions[i];
-
-            bytes memory callData;
-            if (bytes(action.signature).length == 0) {
-                callData = action.data;
-            } else {
-                callData = abi.encodePacked(bytes4(keccak256(bytes(action.signature))), action.data);
-            }
-
-            (bool success, ) = action.target.call{value: action.value}(callData);
-            require(success, "Action execution failed");
-            
-            unchecked { ++i; }
-        }
+        // Reverts with ActionExecutionFailed(index, returnData) when an atomic proposal's action fails
+        proposalActions[_proposalId].executeActions(_proposalId, proposal.executionMode);
+        proposal.settleDeposit(governanceToken, true);
 
         emit ProposalExecuted(_proposalId, msg.sender);
     }
 
     /**
-     * @dev Cancel a proposal (proposer or admin can cancel)
+     * @dev Cancel a proposal. The proposer or admin can always cancel; anyone can cancel once the
+     * proposer's voting power has fallen below the threshold the proposal was created with, unless the
+     * proposal was admitted through the whitelist. Only an admin's cancellation refunds the deposit.
      * @param _proposalId ID of the proposal to cancel
      */
     function cancelProposal(uint256 _proposalId) 
         external 
         proposalExists(_proposalId) 
     {
-        Proposal storage proposal = proposals[_proposalId];
-        bool isAdmin = msg.sender == owner();
-        
-        require(proposal.proposer == msg.sender || isAdmin, "Not authorized to cancel");
-        require(!proposal.executed, "Proposal executed");
-        require(!proposal.cancelled, "Proposal cancelled");
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        bool isProposer = proposal.proposer == msg.sender;
+        bool isAdmin = hasRole(DEFAULT_ADMIN_ROLE, msg.sender);
+
+        // Read at the previous block so the proposer's power cannot be dipped within the cancelling transaction
+        uint256 proposerVotes;
+        if (!isProposer && !isAdmin) {
+            proposerVotes = getPastVotingPower(proposal.proposer, block.number - 1);
+            require(
+                !admittedByWhitelist[_proposalId] && proposerVotes < proposal.proposalThreshold,
+                "Not authorized to cancel"
+            );
+        }
+        // A proposer withdrawing, or falling below the threshold, forfeits the deposit so that spam cannot be
+        // withdrawn for free; an admin's cancellation cannot rescue the deposit of a proposal that missed quorum
+        proposal.cancel(
+            governanceToken,
+            !isProposer && isAdmin && (block.timestamp <= proposal.endTime || proposal.quorumReached())
+        );
+        _releaseReservedETH(proposal);
+        if (isProposer || isAdmin) {
+            emit ProposalCancelled(_proposalId, msg.sender, isAdmin);
+        } else {
+            emit ProposalCancelledBelowThreshold(_proposalId, msg.sender, proposerVotes);
+        }
+    }
+
+    /**
+     * @dev Veto a proposal before it runs: while pending, active, succeeded or queued (GUARDIAN_ROLE only).
+     * Proposals that have already ended keep their outcome, including a refundable deposit.
+     * @param _proposalId ID of the proposal to veto
+     * @param _reason Why the guardian is vetoing, recorded in the event
+     */
+    function vetoProposal(uint256 _proposalId, string memory _reason)
+        external
+        proposalExists(_proposalId)
+        onlyRole(GUARDIAN_ROLE)
+    {
+        require(bytes(_reason).length > 0, "Veto reason required");
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        proposal.veto(governanceToken);
+        _releaseReservedETH(proposal);
+        emit ProposalVetoed(_proposalId, msg.sender, _reason);
+    }
 
-        proposal.cancelled = true;
-        emit ProposalCancelled(_proposalId, msg.sender, isAdmin);
+    /**
+     * @dev Settle the deposit of a proposal that ended without a transaction: refund it to the
+     * proposer if quorum was reached (Defeated or Expired), keep it if quorum was missed.
+     * Also releases the ETH an expired proposal reserved for its actions.
+     * @param _proposalId ID of the proposal whose deposit to settle
+     */
+    function settleProposalDeposit(uint256 _proposalId) external proposalExists(_proposalId) nonReentrant {
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
+        proposal.settleEndedDeposit(governanceToken);
+        _releaseReservedETH(proposal);
     }
 
     /**
@@ -300,27 +668,60 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      * @param _delegate Address to delegate to
      */
     function delegate(address _delegate) external whenNotPaused {
-        require(_delegate != address(0), "Invalid delegate");
-        require(_delegate != msg.sender, "Cannot delegate to self");
+        _delegateVotes(msg.sender, _delegate);
+    }
 
-        Delegate storage currentDelegate = delegates[msg.sender];
-        address fromDelegate = currentDelegate.delegate;
-        
-        if (fromDelegate != address(0)) {
-            uint256 oldPower = votingPower[fromDelegate];
-            votingPower[fromDelegate] -= currentDelegate.delegatedVotes;
-            emit VotingPowerUpdated(fromDelegate, oldPower, votingPower[fromDelegate]);
-        }
+    /**
+     * @dev Split voting power across several delegates; any unassigned share stays with the caller
+     * @param _delegatees Addresses to delegate to
+     * @param _sharesBps Share of the caller's balance for each delegatee, in basis points
+     */
+    function delegateMulti(
+        address[] memory _delegatees,
+        uint256[] memory _sharesBps
+    ) external whenNotPaused {
+        _ledger.setDelegations(msg.sender, _delegatees, _sharesBps, governanceToken.balanceOf(msg.sender));
+    }
 
-        currentDelegate.delegate = _delegate;
-        currentDelegate.delegatedVotes = governanceToken.balanceOf(msg.sender);
-        currentDelegate.lastDelegationTime = block.timestamp;
+    /**
+     * @dev Remove all delegations so the caller votes with its own balance again
+     */
+    function undelegate() external whenNotPaused {
+        require(_ledger.delegates[msg.sender].delegate != address(0), "Not delegated");
+        _ledger.setDelegations(msg.sender, new address[](0), new uint256[](0), governanceToken.balanceOf(msg.sender));
+    }
 
-        uint256 oldDelegatePower = votingPower[_delegate];
-        votingPower[_delegate] += currentDelegate.delegatedVotes;
-        emit VotingPowerUpdated(_delegate, oldDelegatePower, votingPower[_delegate]);
+    /**
+     * @dev Delegate voting power with an EIP-712 signature from the delegator
+     * @param _delegator Address that signed the delegation (EOA or ERC-1271 contract)
+     * @param _delegatee Address to delegate to
+     * @param _expiry Timestamp after which the signature is no longer valid
+     * @param _signature Signature over the Delegation typed data
+     */
+    function delegateBySig(
+        address _delegator,
+        address _delegatee,
+        uint256 _expiry,
+        bytes memory _signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(
+            abi.encode(DELEGATION_TYPEHASH, _delegator, _delegatee, _useNonce(_delegator), _expiry)
+        );
+        _checkSignature(_delegator, structHash, _expiry, _signature);
 
-        emit DelegateChanged(msg.sender, fromDelegate, _delegate);
+        _delegateVotes(_delegator, _delegatee);
+    }
+
+    /**
+     * @dev Move a delegator's entire balance to a single delegate
+     */
+    function _delegateVotes(address _delegator, address _delegatee) internal {
+        address[] memory delegatees = new address[](1);
+        uint256[] memory sharesBps = new uint256[](1);
+        delegatees[0] = _delegatee;
+        sharesBps[0] = DELEGATION_DENOMINATOR;
+
+        _ledger.setDelegations(_delegator, delegatees, sharesBps, governanceToken.balanceOf(_delegator));
     }
 
     /**
@@ -330,20 +731,34 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      */
     function updateVotingPower(address _user, uint256 _newBalance) external {
         require(msg.sender == address(governanceToken), "Only token contract can update");
-        
-        Delegate storage userDelegate = delegates[_user];
-        uint256 oldPower;
-        
-        if (userDelegate.delegate != address(0)) {
-            oldPower = votingPower[userDelegate.delegate];
-            votingPower[userDelegate.delegate] = votingPower[userDelegate.delegate] - userDelegate.delegatedVotes + _newBalance;
-            userDelegate.delegatedVotes = _newBalance;
-            emit VotingPowerUpdated(userDelegate.delegate, oldPower, votingPower[userDelegate.delegate]);
-        } else {
-            oldPower = votingPower[_user];
-            votingPower[_user] = _newBalance;
-            emit VotingPowerUpdated(_user, oldPower, _newBalance);
-        }
+
+        // Re-applies the user's delegation split, so delegated and self-held power both follow the balance
+        _ledger.updateBalance(_user, _newBalance);
+    }
+
+    /**
+     * @dev Consume and return the current nonce of a signer
+     */
+    function _useNonce(address _signer) internal returns (uint256 current) {
+        Counters.Counter storage nonce = _nonces[_signer];
+        current = nonce.current();
+        nonce.increment();
+    }
+
+    /**
+     * @dev Require an unexpired EIP-712 signature from the signer, supporting ERC-1271 wallets
+     */
+    function _checkSignature(
+        address _signer,
+        bytes32 _structHash,
+        uint256 _expiry,
+        bytes memory _signature
+    ) internal view {
+        require(block.timestamp <= _expiry, "Signature expired");
+        require(
+            SignatureChecker.isValidSignatureNow(_signer, _hashTypedDataV4(_structHash), _signature),
+            "Invalid signature"
+        );
     }
 
     // ============ View Functions ============
@@ -369,7 +784,7 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
             bool cancelled
         ) 
     {
-        Proposal storage proposal = proposals[_proposalId];
+        ProposalLib.Proposal storage proposal = _proposals[_proposalId];
         return (
             proposal.id,
             proposal.proposer,
@@ -394,11 +809,27 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         external 
         view 
         proposalExists(_proposalId)
-        returns (ProposalAction[] memory) 
+        returns (ProposalActionLib.ProposalAction[] memory) 
     {
         return proposalActions[_proposalId];
     }
 
+    /**
+     * @dev Check proposal actions the way createProposal will: well-formed signatures and calldata,
+     * allowlisted targets or selectors (when enabled), and a total value within the contract's ETH balance
+     * @param _actions Actions to check
+     * @return valid True if createProposal would accept the actions
+     * @return index Index of the first failing action
+     * @return reason Why that action fails
+     */
+    function validateProposalActions(ProposalActionLib.ProposalAction[] memory _actions)
+        public
+        view
+        returns (bool valid, uint256 index, string memory reason)
+    {
+        return ProposalActionLib.validateActions(_actions, allowedTargets, allowedSelectors, actionAllowlistEnabled);
+    }
+
     /**
      * @dev Check if user has voted on proposal
      * @param _proposalId ID of the proposal
@@ -411,7 +842,22 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
         proposalExists(_proposalId)
         returns (bool) 
     {
-        return proposals[_proposalId].hasVoted[_user];
+        return _proposals[_proposalId].receipts[_user].hasVoted;
+    }
+
+    /**
+     * @dev Get a voter's ballot on a proposal
+     * @param _proposalId ID of the proposal
+     * @param _voter Address of the voter
+     * @return Receipt with support, weight and the keccak256 hash of the reason
+     */
+    function getReceipt(uint256 _proposalId, address _voter)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (ProposalLib.Receipt memory)
+    {
+        return _proposals[_proposalId].receipts[_voter];
     }
 
     /**
@@ -420,7 +866,81 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      * @return Voting power
      */
     function getVotingPower(address _user) external view returns (uint256) {
-        return votingPower[_user];
+        return _ledger.votingPower[_user];
+    }
+
+    /**
+     * @dev Get an account's current voting power
+     * @param _user Address of the user
+     * @return Own undelegated balance plus votes delegated to the account
+     */
+    function votingPower(address _user) external view returns (uint256) {
+        return _ledger.votingPower[_user];
+    }
+
+    /**
+     * @dev Get an account's delegation summary
+     * @param _delegator Address of the delegator
+     * @return First delegatee, total votes delegated away and the time of the last change
+     */
+    function delegates(address _delegator) external view returns (DelegationLib.Delegate memory) {
+        return _ledger.delegates[_delegator];
+    }
+
+    /**
+     * @dev Get an account's delegations and the votes each delegatee currently receives from it
+     * @param _delegator Address of the delegator
+     * @return One entry per delegatee; empty when the account votes its own balance
+     */
+    function getDelegations(address _delegator) external view returns (DelegationLib.DelegationInfo[] memory) {
+        return _ledger.getDelegations(_delegator);
+    }
+
+    /**
+     * @dev Get the next signature nonce of an account
+     * @param _owner Address of the signer
+     * @return Nonce to include in the next ballot or delegation signature
+     */
+    function nonces(address _owner) external view returns (uint256) {
+        return _nonces[_owner].current();
+    }
+
+    /**
+     * @dev Get user's voting power at a past block
+     * @param _account Address of the user
+     * @param _timepoint Block number to look up (must be in the past)
+     * @return Voting power at the end of that block
+     */
+    function getPastVotingPower(address _account, uint256 _timepoint) public view returns (uint256) {
+        return _ledger.getPastVotingPower(_account, _timepoint);
+    }
+
+    /**
+     * @dev Get the block at which voting power is read for a proposal
+     * @param _proposalId ID of the proposal
+     * @return Snapshot block number
+     */
+    function proposalSnapshot(uint256 _proposalId)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (uint256)
+    {
+        return _proposals[_proposalId].snapshot;
+    }
+
+    /**
+     * @dev Get the votes required for a proposal to reach quorum
+     * @param _proposalId ID of the proposal
+     * @return Quorum fixed from total supply when the proposal was created
+     */
+    function quorum(uint256 _proposalId)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (uint256)
+    {
+        return _proposals[_proposalId].quorumVotes;
     }
 
     /**
@@ -436,43 +956,174 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      * @param _proposalId ID of the proposal
      * @return State of the proposal
      */
+    function state(uint256 _proposalId)
+        public
+        view
+        proposalExists(_proposalId)
+        returns (ProposalLib.ProposalState)
+    {
+        return _proposals[_proposalId].state();
+    }
+
+    /**
+     * @dev Get proposal state as a string
+     * @notice Kept for existing integrations; prefer `state`, which also tells a missed quorum apart from a lost vote
+     * @param _proposalId ID of the proposal
+     * @return State of the proposal ("QuorumNotMet" is reported as "Defeated")
+     */
     function getProposalState(uint256 _proposalId) 
         external 
         view 
         proposalExists(_proposalId)
         returns (string memory) 
     {
-        Proposal storage proposal = proposals[_proposalId];
-        
-        if (proposal.cancelled) {
-            return "Cancelled";
-        }
-        
-        if (proposal.executed) {
-            return "Executed";
-        }
-        
-        if (block.timestamp < proposal.startTime) {
-            return "Pending";
-        }
-        
-        if (block.timestamp <= proposal.endTime) {
-            return "Active";
-        }
-        
-        if (proposal.forVotes <= proposal.againstVotes) {
-            return "Defeated";
-        }
-        
-        if (proposal.forVotes + proposal.againstVotes + proposal.abstainVotes < QUORUM_THRESHOLD) {
-            return "Defeated";
-        }
-        
-        if (block.timestamp <= proposal.endTime + EXECUTION_DELAY) {
-            return "Succeeded";
-        }
-        
-        return "Queued";
+        return _proposals[_proposalId].stateName();
+    }
+
+    /**
+     * @dev Get a proposal's summary for integrators
+     * @param _proposalId ID of the proposal
+     * @return Proposal details including state, tallies and quorum outcome
+     */
+    function getProposalDetails(uint256 _proposalId)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (ProposalLib.ProposalDetails memory)
+    {
+        return _proposals[_proposalId].details(proposalActions[_proposalId].length);
+    }
+
+    /**
+     * @dev Get summaries for a range of proposals in one call
+     * @param _fromId First proposal ID (inclusive)
+     * @param _toId Last proposal ID (inclusive)
+     * @return details Proposal details ordered by ID
+     */
+    function getProposals(uint256 _fromId, uint256 _toId)
+        external
+        view
+        returns (ProposalLib.ProposalDetails[] memory details)
+    {
+        require(_fromId > 0 && _fromId <= _toId && _toId < _proposalIdCounter.current(), "Invalid proposal range");
+        require(_toId - _fromId < MAX_PROPOSALS_PER_PAGE, "Range too large");
+
+        return ProposalLib.detailsRange(_proposals, proposalActions, _fromId, _toId);
+    }
+
+    // ============ Governance Parameters ============
+
+    /**
+     * @dev Update the voting delay (only via executed proposal)
+     * @param _votingDelay New voting delay in seconds
+     */
+    function setVotingDelay(uint256 _votingDelay) external onlyGovernance {
+        _setVotingDelay(_votingDelay);
+    }
+
+    /**
+     * @dev Update the voting period (only via executed proposal)
+     * @param _votingPeriod New voting period in seconds
+     */
+    function setVotingPeriod(uint256 _votingPeriod) external onlyGovernance {
+        _setVotingPeriod(_votingPeriod);
+    }
+
+    /**
+     * @dev Update the proposal threshold (only via executed proposal)
+     * @param _proposalThreshold New voting power required to propose
+     */
+    function setProposalThreshold(uint256 _proposalThreshold) external onlyGovernance {
+        _setProposalThreshold(_proposalThreshold);
+    }
+
+    /**
+     * @dev Update the quorum numerator (only via executed proposal)
+     * @param _quorumNumerator New share of total supply required for quorum, in basis points
+     */
+    function setQuorumNumerator(uint256 _quorumNumerator) external onlyGovernance {
+        _setQuorumNumerator(_quorumNumerator);
+    }
+
+    /**
+     * @dev Choose whether abstain votes count toward quorum (only via executed proposal)
+     * @param _countsAbstain True to count abstain votes toward quorum
+     */
+    function setQuorumCountsAbstain(bool _countsAbstain) external onlyGovernance {
+        _setQuorumCountsAbstain(_countsAbstain);
+    }
+
+    /**
+     * @dev Update the execution delay (only via executed proposal)
+     * @param _executionDelay New execution delay in seconds
+     */
+    function setExecutionDelay(uint256 _executionDelay) external onlyGovernance {
+        _setExecutionDelay(_executionDelay);
+    }
+
+    /**
+     * @dev Allow or forbid re-casting and retracting votes on new proposals (only via executed proposal)
+     * @param _allowed True to let voters change their ballot until voting ends
+     */
+    function setVoteChangesAllowed(bool _allowed) external onlyGovernance {
+        voteChangesAllowed = _allowed;
+        emit VoteChangesAllowedUpdated(_allowed);
+    }
+
+    /**
+     * @dev Choose who may create proposals (only via executed proposal)
+     * @param _mode Whitelist, Threshold or WhitelistOrThreshold
+     */
+    function setProposalMode(ProposalMode _mode) external onlyGovernance {
+        emit ProposalModeUpdated(proposalMode, _mode);
+        proposalMode = _mode;
+    }
+
+    /**
+     * @dev Update the deposit locked by new proposals, zero to disable (only via executed proposal)
+     * @param _deposit Amount of governance tokens, in wei
+     */
+    function setProposalDeposit(uint256 _deposit) external onlyGovernance {
+        emit ProposalDepositUpdated(proposalDeposit, _deposit);
+        proposalDeposit = _deposit;
+    }
+
+    function _setVotingDelay(uint256 _votingDelay) internal {
+        require(_votingDelay >= MIN_VOTING_DELAY && _votingDelay <= MAX_VOTING_DELAY, "Invalid voting delay");
+        emit VotingDelayUpdated(votingDelay, _votingDelay);
+        votingDelay = _votingDelay;
+    }
+
+    function _setVotingPeriod(uint256 _votingPeriod) internal {
+        require(_votingPeriod >= MIN_VOTING_PERIOD && _votingPeriod <= MAX_VOTING_PERIOD, "Invalid voting period");
+        emit VotingPeriodUpdated(votingPeriod, _votingPeriod);
+        votingPeriod = _votingPeriod;
+    }
+
+    function _setProposalThreshold(uint256 _proposalThreshold) internal {
+        require(_proposalThreshold > 0, "Invalid proposal threshold");
+        emit ProposalThresholdUpdated(proposalThreshold, _proposalThreshold);
+        proposalThreshold = _proposalThreshold;
+    }
+
+    function _setQuorumNumerator(uint256 _quorumNumerator) internal {
+        require(_quorumNumerator > 0 && _quorumNumerator <= QUORUM_DENOMINATOR, "Invalid quorum numerator");
+        emit QuorumNumeratorUpdated(quorumNumerator, _quorumNumerator);
+        quorumNumerator = _quorumNumerator;
+    }
+
+    function _setQuorumCountsAbstain(bool _countsAbstain) internal {
+        quorumCountsAbstain = _countsAbstain;
+        emit QuorumCountsAbstainUpdated(_countsAbstain);
+    }
+
+    function _setExecutionDelay(uint256 _executionDelay) internal {
+        require(
+            _executionDelay >= MIN_EXECUTION_DELAY && _executionDelay <= MAX_EXECUTION_DELAY,
+            "Invalid execution delay"
+        );
+        emit ExecutionDelayUpdated(executionDelay, _executionDelay);
+        executionDelay = _executionDelay;
     }
 
     // ============ Admin Functions ============
@@ -481,7 +1132,7 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      * @dev Whitelist an address
      * @param _address Address to whitelist
      */
-    function whitelistAddress(address _address) external onlyOwner {
+    function whitelistAddress(address _address) external onlyRole(WHITELIST_MANAGER_ROLE) {
         require(_address != address(0), "Invalid address");
         isWhitelisted[_address] = true;
         emit WhitelistUpdated(_address, true);
@@ -491,38 +1142,119 @@ contract Governance is ReentrancyGuard, Pausable, Ownable {
      * @dev Remove address from whitelist
      * @param _address Address to remove
      */
-    function removeFromWhitelist(address _address) external onlyOwner {
+    function removeFromWhitelist(address _address) external onlyRole(WHITELIST_MANAGER_ROLE) {
         isWhitelisted[_address] = false;
         emit WhitelistUpdated(_address, false);
     }
 
+    /**
+     * @dev Allow or disallow calling any function on a target from proposals
+     * @param _target Contract or account to update
+     * @param _allowed Whether proposals may call it
+     */
+    function setAllowedTarget(address _target, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_target != address(0), "Invalid address");
+        allowedTargets[_target] = _allowed;
+        emit AllowedTargetUpdated(_target, _allowed);
+    }
+
+    /**
+     * @dev Allow or disallow a single function on a target from proposals
+     * @param _target Contract to update
+     * @param _selector Function selector; zero covers plain ETH transfers without calldata
+     * @param _allowed Whether proposals may call it
+     */
+    function setAllowedSelector(address _target, bytes4 _selector, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_target != address(0), "Invalid address");
+        allowedSelectors[_target][_selector] = _allowed;
+        emit AllowedSelectorUpdated(_target, _selector, _allowed);
+    }
+
+    /**
+     * @dev Turn allowlist enforcement for proposal actions on or off
+     * @param _enabled Whether new proposals may only call allowlisted targets and selectors
+     */
+    function setActionAllowlistEnabled(bool _enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        actionAllowlistEnabled = _enabled;
+        emit ActionAllowlistEnabledUpdated(_enabled);
+    }
+
     /**
      * @dev Pause the contract
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpause the contract
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
-     * @dev Withdraw stuck ETH from contract
-     * @param _recipient Address to receive ETH
+     * @dev Point the governance contract at its treasury. An admin wires the first treasury during
+     * deployment; after that only an executed proposal can repoint it, so no single key can
+     * redirect sweeps.
+     * @param _treasury Treasury contract that stray ETH is swept to
      */
-    function withdrawETH(address payable _recipient) external onlyOwner {
-        require(_recipient != address(0), "Invalid recipient");
+    function setTreasury(address payable _treasury) external {
+        if (treasury == address(0)) {
+            _checkRole(DEFAULT_ADMIN_ROLE);
+        } else {
+            _checkGovernance();
+        }
+        require(_treasury != address(0), "Invalid address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Move ETH held by this contract into the treasury, where only proposals can spend it.
+     * ETH reserved for the actions of queued proposals (`reservedETH`) stays, so a sweep cannot make them fail.
+     */
+    function sweepToTreasury() external onlyRole(TREASURER_ROLE) {
+        require(treasury != address(0), "Treasury not set");
         uint256 balance = address(this).balance;
-        require(balance > 0, "No ETH to withdraw");
-        
-        (bool success, ) = _recipient.call{value: balance}("");
+        uint256 amount = balance > reservedETH ? balance - reservedETH : 0;
+        require(amount > 0, "No ETH to sweep");
+
+        (bool success, ) = treasury.call{value: amount}("");
         require(success, "ETH transfer failed");
-        
-        emit ETHWithdrawn(_recipient, balance);
+
+        emit ETHSweptToTreasury(treasury, amount);
+    }
+
+    function _releaseReservedETH(ProposalLib.Proposal storage _proposal) private {
+        reservedETH -= _proposal.reservedValue;
+        _proposal.reservedValue = 0;
+    }
+
+    function _checkGovernance() private view {
+        require(msg.sender == address(this), "Only governance");
+    }
+
+    function _checkProposalExists(uint256 _proposalId) private view {
+        require(_proposalId > 0 && _proposalId < _proposalIdCounter.current(), "Proposal does not exist");
+    }
+
+    /**
+     * @dev Revert with a custom error when `_account` lacks `_role`
+     */
+    function _checkRole(bytes32 _role, address _account) internal view override {
+        if (!hasRole(_role, _account)) {
+            revert AccessControlUnauthorizedAccount(_account, _role);
+        }
+    }
+
+    // The EIP-712 domain is constant, so it is not written to storage during initialization
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "Swift Governance";
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
     }
 
     /**
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+
+/**
+ * @title Treasury
+ * @dev Custody of a DAO's ETH, ERC-20, ERC-721 and ERC-1155 assets for Swift v2 governance.
+ * Assets only leave through executed governance proposals, either as transfers or as
+ * linear payment streams for grants.
+ * @author Swift v2 Team
+ */
+contract Treasury is ReentrancyGuard, ERC721Holder, ERC1155Holder {
+    using SafeERC20 for IERC20;
+
+    // Stream and reservation entries use the zero address for ETH
+    address public constant ETH = address(0);
+
+    // Events
+    event ETHReceived(address indexed sender, uint256 amount);
+
+    event ETHTransferred(address indexed recipient, uint256 amount);
+
+    event ERC20Transferred(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event ERC721Transferred(
+        address indexed token,
+        address indexed recipient,
+        uint256 tokenId
+    );
+
+    event ERC1155Transferred(
+        address indexed token,
+        address indexed recipient,
+        uint256 id,
+        uint256 amount
+    );
+
+    event StreamCreated(
+        uint256 indexed streamId,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 startTime,
+        uint256 duration
+    );
+
+    event StreamWithdrawn(
+        uint256 indexed streamId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event StreamCancelled(
+        uint256 indexed streamId,
+        uint256 paidOut,
+        uint256 returned
+    );
+
+    // Structs
+    struct Stream {
+        address recipient;
+        address token;
+        uint256 amount;
+        uint256 withdrawn;
+        uint256 startTime;
+        uint256 duration;
+        bool cancelled;
+    }
+
+    // State variables
+    address public immutable governance;
+
+    mapping(uint256 => Stream) private _streams;
+    uint256 public streamCount;
+
+    // Amount per asset still owed to open streams, which transfers cannot spend
+    mapping(address => uint256) public reserved;
+
+    // Modifiers
+    modifier onlyGovernance() {
+        require(msg.sender == governance, "Only governance");
+        _;
+    }
+
+    modifier streamExists(uint256 _streamId) {
+        require(_streamId > 0 && _streamId <= streamCount, "Stream does not exist");
+        _;
+    }
+
+    /**
+     * @param _governance Governance contract whose executed proposals control the treasury
+     */
+    constructor(address _governance) {
+        require(_governance != address(0), "Invalid governance address");
+        governance = _governance;
+    }
+
+    /**
+     * @dev Receive ETH
+     */
+    receive() external payable {
+        emit ETHReceived(msg.sender, msg.value);
+    }
+
+    // ============ Transfers (governance only) ============
+
+    /**
+     * @dev Send ETH that is not reserved for streams
+     * @param _recipient Address to receive the ETH
+     * @param _amount Amount in wei
+     */
+    function transferETH(address payable _recipient, uint256 _amount) external onlyGovernance nonReentrant {
+        require(_recipient != address(0), "Invalid recipient");
+        require(_amount <= availableBalance(ETH), "Insufficient available balance");
+
+        _send(ETH, _recipient, _amount);
+        emit ETHTransferred(_recipient, _amount);
+    }
+
+    /**
+     * @dev Send ERC-20 tokens that are not reserved for streams
+     * @param _token Token to send
+     * @param _recipient Address to receive the tokens
+     * @param _amount Amount in the token's smallest unit
+     */
+    function transferERC20(address _token, address _recipient, uint256 _amount) external onlyGovernance nonReentrant {
+        require(_token != ETH, "Invalid token");
+        require(_recipient != address(0), "Invalid recipient");
+        require(_amount <= availableBalance(_token), "Insufficient available balance");
+
+        _send(_token, _recipient, _amount);
+        emit ERC20Transferred(_token, _recipient, _amount);
+    }
+
+    /**
+     * @dev Send an ERC-721 token
+     * @param _token NFT contract
+     * @param _recipient Address to receive the NFT
+     * @param _tokenId ID of the NFT
+     */
+    function transferERC721(address _token, address _recipient, uint256 _tokenId) external onlyGovernance nonReentrant {
+        require(_recipient != address(0), "Invalid recipient");
+
+        IERC721(_token).safeTransferFrom(address(this), _recipient, _tokenId);
+        emit ERC721Transferred(_token, _recipient, _tokenId);
+    }
+
+    /**
+     * @dev Send ERC-1155 tokens
+     * @param _token Multi-token contract
+     * @param _recipient Address to receive the tokens
+     * @param _id Token type ID
+     * @param _amount Amount of the token type
+     * @param _data Data passed to the recipient's receiver hook
+     */
+    function transferERC1155(
+        address _token,
+        address _recipient,
+        uint256 _id,
+        uint256 _amount,
+        bytes calldata _data
+    ) external onlyGovernance nonReentrant {
+        require(_recipient != address(0), "Invalid recipient");
+
+        IERC1155(_token).safeTransferFrom(address(this), _recipient, _id, _amount, _data);
+        emit ERC1155Transferred(_token, _recipient, _id, _amount);
+    }
+
+    // ============ Streams ============
+
+    /**
+     * @dev Reserve funds and release them linearly to a grant recipient (governance only)
+     * @param _recipient Address that can withdraw the streamed funds
+     * @param _token ERC-20 token to stream, or ETH (zero address)
+     * @param _amount Total amount released over the stream
+     * @param _startTime Timestamp from which funds start vesting
+     * @param _duration Seconds over which the full amount vests
+     * @return streamId ID of the new stream
+     */
+    function createStream(
+        address _recipient,
+        address _token,
+        uint256 _amount,
+        uint256 _startTime,
+        uint256 _duration
+    ) external onlyGovernance returns (uint256 streamId) {
+        require(_recipient != address(0), "Invalid recipient");
+        require(_amount > 0, "Invalid amount");
+        require(_duration > 0, "Invalid duration");
+        require(_amount <= availableBalance(_token), "Insufficient available balance");
+
+        reserved[_token] += _amount;
+
+        streamId = ++streamCount;
+        _streams[streamId] = Stream({
+            recipient: _recipient,
+            token: _token,
+            amount: _amount,
+            withdrawn: 0,
+            startTime: _startTime,
+            duration: _duration,
+            cancelled: false
+        });
+
+        emit StreamCreated(streamId, _recipient, _token, _amount, _startTime, _duration);
+    }
+
+    /**
+     * @dev Pay out everything vested so far to the stream's recipient; anyone can trigger it
+     * @param _streamId ID of the stream
+     */
+    function withdrawFromStream(uint256 _streamId) external streamExists(_streamId) nonReentrant {
+        Stream storage stream = _streams[_streamId];
+        require(!stream.cancelled, "Stream cancelled");
+
+        uint256 amount = withdrawableFromStream(_streamId);
+        require(amount > 0, "Nothing to withdraw");
+
+        _payStream(_streamId, stream, amount);
+    }
+
+    /**
+     * @dev Stop a stream, paying out what has vested and releasing the rest (governance only)
+     * @param _streamId ID of the stream
+     */
+    function cancelStream(uint256 _streamId) external onlyGovernance streamExists(_streamId) nonReentrant {
+        Stream storage stream = _streams[_streamId];
+        require(!stream.cancelled, "Stream cancelled");
+
+        uint256 paidOut = withdrawableFromStream(_streamId);
+        uint256 returned = stream.amount - stream.withdrawn - paidOut;
+
+        stream.cancelled = true;
+        reserved[stream.token] -= returned;
+        if (paidOut > 0) {
+            _payStream(_streamId, stream, paidOut);
+        }
+
+        emit StreamCancelled(_streamId, paidOut, returned);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get a stream
+     */
+    function getStream(uint256 _streamId) external view streamExists(_streamId) returns (Stream memory) {
+        return _streams[_streamId];
+    }
+
+    /**
+     * @dev Amount of a stream vested by now, including what has been withdrawn
+     */
+    function vestedAmount(uint256 _streamId) public view streamExists(_streamId) returns (uint256) {
+        Stream storage stream = _streams[_streamId];
+        if (stream.cancelled) {
+            return stream.withdrawn;
+        }
+        if (block.timestamp <= stream.startTime) {
+            return 0;
+        }
+
+        uint256 elapsed = block.timestamp - stream.startTime;
+        if (elapsed >= stream.duration) {
+            return stream.amount;
+        }
+        return (stream.amount * elapsed) / stream.duration;
+    }
+
+    /**
+     * @dev Amount of a stream its recipient can withdraw now
+     */
+    function withdrawableFromStream(uint256 _streamId) public view returns (uint256) {
+        return vestedAmount(_streamId) - _streams[_streamId].withdrawn;
+    }
+
+    /**
+     * @dev Treasury balance of ETH (zero address) or an ERC-20 token
+     */
+    function balanceOf(address _token) public view returns (uint256) {
+        if (_token == ETH) {
+            return address(this).balance;
+        }
+        return IERC20(_token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Balance of ETH (zero address) or an ERC-20 token that is not reserved for streams
+     */
+    function availableBalance(address _token) public view returns (uint256) {
+        uint256 balance = balanceOf(_token);
+        uint256 reservedAmount = reserved[_token];
+        return balance > reservedAmount ? balance - reservedAmount : 0;
+    }
+
+    /**
+     * @dev Number of NFTs of an ERC-721 collection held by the treasury
+     */
+    function erc721Balance(address _token) external view returns (uint256) {
+        return IERC721(_token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Check whether the treasury holds a given ERC-721 token
+     */
+    function ownsERC721(address _token, uint256 _tokenId) external view returns (bool) {
+        return IERC721(_token).ownerOf(_tokenId) == address(this);
+    }
+
+    /**
+     * @dev Treasury balance of an ERC-1155 token type
+     */
+    function erc1155Balance(address _token, uint256 _id) external view returns (uint256) {
+        return IERC1155(_token).balanceOf(address(this), _id);
+    }
+
+    // ============ Internal Functions ============
+
+    function _payStream(uint256 _streamId, Stream storage stream, uint256 _amount) internal {
+        stream.withdrawn += _amount;
+        reserved[stream.token] -= _amount;
+
+        _send(stream.token, stream.recipient, _amount);
+        emit StreamWithdrawn(_streamId, stream.recipient, _amount);
+    }
+
+    function _send(address _token, address _recipient, uint256 _amount) internal {
+        if (_token == ETH) {
+            (bool success, ) = payable(_recipient).call{value: _amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_recipient, _amount);
+        }
+    }
+}
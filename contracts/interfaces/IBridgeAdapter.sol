@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IBridgeAdapter
+ * @dev Source-chain side of a message bridge. Governance calls an adapter from a proposal action
+ * to run actions on another chain; each bridge (native rollup messaging, a cross-chain messaging
+ * protocol, ...) gets its own adapter. An adapter must deliver the payload to `_receiver` through
+ * `IBridgeReceiver.receiveMessage`, passing the source chain and the address that called
+ * `sendMessage`, and must never deliver a message with the same ID twice on purpose.
+ */
+interface IBridgeAdapter {
+    event MessageSent(
+        bytes32 indexed messageId,
+        uint256 indexed destinationChainId,
+        address indexed receiver,
+        address sender,
+        bytes payload
+    );
+
+    /**
+     * @dev Send a payload to a receiver on another chain
+     * @param _destinationChainId Chain ID the receiver is deployed on
+     * @param _receiver Contract on the destination chain that receives the payload
+     * @param _payload Message body, passed to the receiver unchanged
+     * @return messageId ID the receiver sees for this message
+     */
+    function sendMessage(
+        uint256 _destinationChainId,
+        address _receiver,
+        bytes calldata _payload
+    ) external payable returns (bytes32 messageId);
+
+    /**
+     * @dev Fee in wei that `sendMessage` must be called with
+     */
+    function quoteFee(
+        uint256 _destinationChainId,
+        address _receiver,
+        bytes calldata _payload
+    ) external view returns (uint256);
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IBridgeReceiver
+ * @dev Destination-chain side of a message bridge, called by the bridge's endpoint on that chain
+ */
+interface IBridgeReceiver {
+    /**
+     * @dev Handle a message sent through an `IBridgeAdapter`
+     * @param _sourceChainId Chain ID the message was sent from
+     * @param _sender Address that called `sendMessage` on the source chain
+     * @param _messageId ID the bridge assigned to the message
+     * @param _payload Message body
+     */
+    function receiveMessage(
+        uint256 _sourceChainId,
+        address _sender,
+        bytes32 _messageId,
+        bytes calldata _payload
+    ) external;
+}
@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title DelegationLib
+ * @dev Voting power and delegation accounting for Governance
+ */
+library DelegationLib {
+    using Checkpoints for Checkpoints.Trace224;
+
+    uint256 internal constant MAX_DELEGATES = 10;
+    uint256 internal constant SHARE_DENOMINATOR = 10000; // Delegation shares are in basis points of balance
+
+    event DelegateChanged(
+        address indexed delegator,
+        address indexed fromDelegate,
+        address indexed toDelegate
+    );
+
+    event DelegationShareUpdated(
+        address indexed delegator,
+        address indexed delegatee,
+        uint256 shareBps
+    );
+
+    event VotingPowerUpdated(
+        address indexed user,
+        uint256 oldPower,
+        uint256 newPower
+    );
+
+    struct Delegate {
+        address delegate; // First delegatee, or zero when the account votes its own balance
+        uint256 delegatedVotes; // Total votes currently delegated away across all delegatees
+        uint256 lastDelegationTime;
+    }
+
+    struct DelegationShare {
+        address delegatee;
+        uint96 shareBps;
+    }
+
+    struct DelegationInfo {
+        address delegatee;
+        uint256 shareBps;
+        uint256 votes;
+    }
+
+    struct Ledger {
+        mapping(address => Delegate) delegates;
+        mapping(address => uint256) votingPower;
+        mapping(address => DelegationShare[]) shares;
+        // Balance each account's delegation split was last applied to
+        mapping(address => uint256) balances;
+        // Voting power history per account, keyed by block number
+        mapping(address => Checkpoints.Trace224) checkpoints;
+    }
+
+    /**
+     * @dev Replace a delegator's delegation split and apply `_balance` to it.
+     * Whatever share is not delegated stays with the delegator; an empty split undelegates fully.
+     * @param _ledger Governance voting power ledger
+     * @param _delegator Address whose delegation changes
+     * @param _delegatees Addresses to delegate to
+     * @param _sharesBps Share of the balance for each delegatee, in basis points
+     * @param _balance Current token balance of the delegator
+     */
+    function setDelegations(
+        Ledger storage _ledger,
+        address _delegator,
+        address[] memory _delegatees,
+        uint256[] memory _sharesBps,
+        uint256 _balance
+    ) external {
+        require(_delegatees.length == _sharesBps.length, "Delegation length mismatch");
+        require(_delegatees.length <= MAX_DELEGATES, "Too many delegates");
+
+        DelegationShare[] storage shares = _ledger.shares[_delegator];
+
+        // Withdraw the old split, then clear it
+        _moveDelegatorVotes(_ledger, _delegator, _ledger.balances[_delegator], 0);
+        for (uint256 i = 0; i < shares.length;) {
+            emit DelegationShareUpdated(_delegator, shares[i].delegatee, 0);
+            unchecked { ++i; }
+        }
+        delete _ledger.shares[_delegator];
+
+        uint256 totalBps = 0;
+        for (uint256 i = 0; i < _delegatees.length;) {
+            address delegatee = _delegatees[i];
+            require(delegatee != address(0), "Invalid delegate");
+            require(delegatee != _delegator, "Cannot delegate to self");
+            require(_sharesBps[i] > 0, "Invalid delegation share");
+            for (uint256 j = 0; j < i;) {
+                require(_delegatees[j] != delegatee, "Duplicate delegate");
+                unchecked { ++j; }
+            }
+
+            totalBps += _sharesBps[i];
+            shares.push(DelegationShare({delegatee: delegatee, shareBps: uint96(_sharesBps[i])}));
+            emit DelegationShareUpdated(_delegator, delegatee, _sharesBps[i]);
+            unchecked { ++i; }
+        }
+        require(totalBps <= SHARE_DENOMINATOR, "Invalid delegation shares");
+
+        _ledger.balances[_delegator] = _balance;
+        _moveDelegatorVotes(_ledger, _delegator, 0, _balance);
+
+        Delegate storage delegateInfo = _ledger.delegates[_delegator];
+        address fromDelegate = delegateInfo.delegate;
+        delegateInfo.delegate = _delegatees.length > 0 ? _delegatees[0] : address(0);
+        delegateInfo.lastDelegationTime = block.timestamp;
+
+        emit DelegateChanged(_delegator, fromDelegate, delegateInfo.delegate);
+    }
+
+    /**
+     * @dev Re-apply an account's delegation split to its new token balance
+     * @param _ledger Governance voting power ledger
+     * @param _account Address whose balance changed
+     * @param _newBalance New token balance
+     */
+    function updateBalance(Ledger storage _ledger, address _account, uint256 _newBalance) external {
+        _moveDelegatorVotes(_ledger, _account, _ledger.balances[_account], _newBalance);
+        _ledger.balances[_account] = _newBalance;
+    }
+
+    /**
+     * @dev Get an account's delegations and the votes each delegatee currently receives from it
+     */
+    function getDelegations(Ledger storage _ledger, address _delegator)
+        external
+        view
+        returns (DelegationInfo[] memory delegations)
+    {
+        DelegationShare[] storage shares = _ledger.shares[_delegator];
+        uint256 balance = _ledger.balances[_delegator];
+
+        delegations = new DelegationInfo[](shares.length);
+        for (uint256 i = 0; i < shares.length;) {
+            delegations[i] = DelegationInfo({
+                delegatee: shares[i].delegatee,
+                shareBps: shares[i].shareBps,
+                votes: (balance * shares[i].shareBps) / SHARE_DENOMINATOR
+            });
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Get an account's voting power at the end of a past block
+     */
+    function getPastVotingPower(Ledger storage _ledger, address _account, uint256 _timepoint)
+        external
+        view
+        returns (uint256)
+    {
+        require(_timepoint < block.number, "Timepoint not yet mined");
+        return _ledger.checkpoints[_account].upperLookupRecent(SafeCast.toUint32(_timepoint));
+    }
+
+    /**
+     * @dev Move a delegator's split from `_oldBalance` to `_newBalance` across its delegatees and itself
+     */
+    function _moveDelegatorVotes(
+        Ledger storage _ledger,
+        address _delegator,
+        uint256 _oldBalance,
+        uint256 _newBalance
+    ) private {
+        DelegationShare[] storage shares = _ledger.shares[_delegator];
+        uint256 oldDelegated = 0;
+        uint256 newDelegated = 0;
+
+        for (uint256 i = 0; i < shares.length;) {
+            uint256 oldVotes = (_oldBalance * shares[i].shareBps) / SHARE_DENOMINATOR;
+            uint256 newVotes = (_newBalance * shares[i].shareBps) / SHARE_DENOMINATOR;
+            _replaceVotes(_ledger, shares[i].delegatee, oldVotes, newVotes);
+            oldDelegated += oldVotes;
+            newDelegated += newVotes;
+            unchecked { ++i; }
+        }
+
+        // Whatever is not delegated, including rounding dust, stays with the delegator
+        _replaceVotes(_ledger, _delegator, _oldBalance - oldDelegated, _newBalance - newDelegated);
+        _ledger.delegates[_delegator].delegatedVotes = newDelegated;
+    }
+
+    /**
+     * @dev Swap `_oldVotes` of an account's voting power for `_newVotes` and checkpoint the result
+     */
+    function _replaceVotes(
+        Ledger storage _ledger,
+        address _account,
+        uint256 _oldVotes,
+        uint256 _newVotes
+    ) private {
+        if (_oldVotes == _newVotes) {
+            return;
+        }
+
+        uint256 oldPower = _ledger.votingPower[_account];
+        uint256 newPower = oldPower - _oldVotes + _newVotes;
+        _ledger.votingPower[_account] = newPower;
+        _ledger.checkpoints[_account].push(SafeCast.toUint32(block.number), SafeCast.toUint224(newPower));
+
+        emit VotingPowerUpdated(_account, oldPower, newPower);
+    }
+}
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ProposalActionLib
+ * @dev Proposal action validation, encoding and execution for Governance
+ */
+library ProposalActionLib {
+    // Atomic proposals revert entirely when any action fails; best-effort proposals record the failure and continue
+    enum ExecutionMode {
+        Atomic,
+        BestEffort
+    }
+
+    struct ProposalAction {
+        address target;
+        uint256 value;
+        string signature;
+        bytes data;
+    }
+
+    event ActionExecuted(
+        uint256 indexed proposalId,
+        uint256 indexed index,
+        bool success,
+        bytes returnData
+    );
+
+    error ActionExecutionFailed(uint256 index, bytes returnData);
+
+    /**
+     * @dev Run a proposal's actions in order from the governance contract
+     * @param _actions Stored actions of the proposal
+     * @param _proposalId ID of the proposal, for events
+     * @param _mode Whether a failing action reverts the whole execution
+     */
+    function executeActions(
+        ProposalAction[] storage _actions,
+        uint256 _proposalId,
+        ExecutionMode _mode
+    ) external {
+        uint256 actionsLength = _actions.length;
+
+        for (uint256 i = 0; i < actionsLength;) {
+            ProposalAction storage action = _actions[i];
+
+            (bool success, bytes memory returnData) = action.target.call{value: action.value}(
+                callData(action.signature, action.data)
+            );
+            if (!success && _mode == ExecutionMode.Atomic) {
+                revert ActionExecutionFailed(i, returnData);
+            }
+            emit ActionExecuted(_proposalId, i, success, returnData);
+
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Copy validated actions into a new proposal's storage
+     * @param _stored Empty action list of the proposal
+     * @param _actions Actions to store, in execution order
+     */
+    function storeActions(ProposalAction[] storage _stored, ProposalAction[] memory _actions) external {
+        uint256 actionsLength = _actions.length;
+        for (uint256 i = 0; i < actionsLength;) {
+            _stored.push(_actions[i]);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Check proposal actions before they are stored: well-formed calls, allowlisted
+     * targets and selectors when the allowlist is enabled, and a total value the contract can pay.
+     * Calls back into the governance contract itself are always allowed.
+     * @param _actions Actions to check
+     * @param _allowedTargets Targets on which any function may be called
+     * @param _allowedSelectors Individual functions that may be called per target
+     * @param _allowlistEnabled Whether targets and selectors must be allowlisted
+     * @return valid True if every action passes
+     * @return index Index of the first failing action (0 when valid)
+     * @return reason Why that action failed (empty when valid)
+     */
+    function validateActions(
+        ProposalAction[] memory _actions,
+        mapping(address => bool) storage _allowedTargets,
+        mapping(address => mapping(bytes4 => bool)) storage _allowedSelectors,
+        bool _allowlistEnabled
+    ) external view returns (bool valid, uint256 index, string memory reason) {
+        uint256 totalValue = 0;
+
+        for (uint256 i = 0; i < _actions.length;) {
+            ProposalAction memory action = _actions[i];
+            totalValue += action.value;
+
+            if (action.target == address(0)) {
+                return (false, i, "Invalid target");
+            }
+            if (bytes(action.signature).length > 0 && !_isWellFormedSignature(action.signature)) {
+                return (false, i, "Malformed signature");
+            }
+            // Without a signature the data must be empty (plain transfer) or start with a selector
+            if (bytes(action.signature).length == 0 && action.data.length > 0 && action.data.length < 4) {
+                return (false, i, "Malformed calldata");
+            }
+            if (
+                _allowlistEnabled &&
+                action.target != address(this) &&
+                !_allowedTargets[action.target] &&
+                !_allowedSelectors[action.target][selector(action.signature, action.data)]
+            ) {
+                return (false, i, "Action not allowed");
+            }
+            unchecked { ++i; }
+        }
+
+        // address(this) is the governance contract, as the library runs through delegatecall
+        if (totalValue > address(this).balance) {
+            return (false, _actions.length - 1, "Insufficient ETH balance");
+        }
+
+        return (true, 0, "");
+    }
+
+    /**
+     * @dev Build the calldata for an action: raw data, or the signature's selector followed by the data
+     */
+    function callData(string memory _signature, bytes memory _data) internal pure returns (bytes memory) {
+        if (bytes(_signature).length == 0) {
+            return _data;
+        }
+        return abi.encodePacked(bytes4(keccak256(bytes(_signature))), _data);
+    }
+
+    /**
+     * @dev Function selector an action calls; zero for plain transfers without calldata
+     */
+    function selector(string memory _signature, bytes memory _data) internal pure returns (bytes4) {
+        if (bytes(_signature).length > 0) {
+            return bytes4(keccak256(bytes(_signature)));
+        }
+        if (_data.length < 4) {
+            return bytes4(0);
+        }
+        return bytes4(_data);
+    }
+
+    /**
+     * @dev Check a signature has the canonical `name(type,...)` shape: an identifier, then a
+     * parenthesised list of identifier-like types (tuples and arrays allowed) with no whitespace
+     */
+    function _isWellFormedSignature(string memory _signature) private pure returns (bool) {
+        bytes memory sig = bytes(_signature);
+        uint256 length = sig.length;
+        uint256 i = 0;
+
+        // Function name: letters, digits, `_` or `$`, not starting with a digit
+        while (i < length && _isIdentifierChar(sig[i])) {
+            unchecked { ++i; }
+        }
+        if (i == 0 || i == length || (sig[0] >= "0" && sig[0] <= "9") || sig[i] != "(") {
+            return false;
+        }
+
+        // Parameter list: balanced parentheses, ending exactly at the last character
+        uint256 depth = 0;
+        for (; i < length;) {
+            bytes1 char = sig[i];
+            if (char == "(") {
+                depth++;
+            } else if (char == ")") {
+                if (depth == 0 || sig[i - 1] == ",") {
+                    return false;
+                }
+                depth--;
+                if (depth == 0 && i != length - 1) {
+                    return false;
+                }
+            } else if (char == ",") {
+                if (sig[i - 1] == "(" || sig[i - 1] == ",") {
+                    return false;
+                }
+            } else if (!_isIdentifierChar(char) && char != "[" && char != "]") {
+                return false;
+            }
+            unchecked { ++i; }
+        }
+        return depth == 0;
+    }
+
+    function _isIdentifierChar(bytes1 _char) private pure returns (bool) {
+        return (_char >= "a" && _char <= "z") ||
+            (_char >= "A" && _char <= "Z") ||
+            (_char >= "0" && _char <= "9") ||
+            _char == "_" ||
+            _char == "$";
+    }
+}
@@ -0,0 +1,484 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ProposalActionLib.sol";
+
+/**
+ * @title ProposalLib
+ * @dev Proposal storage, vote counting and state derivation for Governance
+ */
+library ProposalLib {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant GRACE_PERIOD = 14 days; // Window after the ETA in which a queued proposal can run
+    uint8 internal constant SUPPORT_FRACTIONAL = 3; // Receipt and VoteCast support value for split ballots
+
+    event VoteCast(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint8 indexed support,
+        uint256 weight,
+        string reason
+    );
+
+    event VoteCastFractional(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint256 forWeight,
+        uint256 againstWeight,
+        uint256 abstainWeight
+    );
+
+    event VoteChanged(
+        uint256 indexed proposalId,
+        address indexed voter,
+        uint8 previousSupport,
+        uint256 previousWeight
+    );
+
+    event ProposalDepositRefunded(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        uint256 amount
+    );
+
+    event ProposalDepositForfeited(
+        uint256 indexed proposalId,
+        uint256 amount
+    );
+
+    enum ProposalState {
+        Pending,
+        Active,
+        Cancelled,
+        Defeated,
+        QuorumNotMet,
+        Succeeded,
+        Queued,
+        Expired,
+        Executed,
+        Vetoed
+    }
+
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        string title;
+        string description;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 snapshot;
+        uint256 quorumVotes;
+        bool quorumCountsAbstain;
+        uint256 executionDelay;
+        uint256 eta;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool executed;
+        bool cancelled;
+        bool vetoed;
+        bool voteChangesAllowed;
+        ProposalActionLib.ExecutionMode executionMode;
+        uint256 deposit; // Governance tokens still held for the proposer, zero once settled
+        mapping(address => Receipt) receipts;
+        // Appended after receipts so proposals created before it keep their storage slots
+        uint256 proposalThreshold; // Threshold in force at creation; below it, anyone can cancel
+        uint256 reservedValue; // ETH kept back from treasury sweeps for the actions while queued, zero once released
+    }
+
+    struct Receipt {
+        bool hasVoted;
+        uint8 support;
+        uint256 weight;
+        uint256 forWeight;
+        uint256 againstWeight;
+        uint256 abstainWeight;
+        bytes32 reasonHash;
+    }
+
+    struct ProposalDetails {
+        uint256 id;
+        address proposer;
+        string title;
+        ProposalState state;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 snapshot;
+        uint256 eta;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        uint256 quorumVotes;
+        bool quorumReached;
+        bool voteSucceeded;
+        uint256 actionCount;
+        ProposalActionLib.ExecutionMode executionMode;
+    }
+
+    /**
+     * @dev Record a full-weight ballot, replacing the voter's previous one when vote changes are allowed
+     * @param proposal Proposal being voted on
+     * @param _voter Address casting the vote
+     * @param _support 0 = against, 1 = for, 2 = abstain
+     * @param _weight Voter's voting power at the proposal snapshot
+     * @param _reason Reason for the vote
+     */
+    function castVote(
+        Proposal storage proposal,
+        address _voter,
+        uint8 _support,
+        uint256 _weight,
+        string memory _reason
+    ) external {
+        require(_support <= 2, "Invalid support value");
+
+        Receipt storage receipt = proposal.receipts[_voter];
+        if (receipt.hasVoted) {
+            require(proposal.voteChangesAllowed, "Already voted");
+            _retractVote(proposal, _voter);
+        }
+
+        require(_weight > 0, "No voting power");
+
+        receipt.hasVoted = true;
+        receipt.support = _support;
+        receipt.weight = _weight;
+        receipt.reasonHash = keccak256(bytes(_reason));
+
+        if (_support == 0) {
+            _countVote(proposal, receipt, 0, _weight, 0);
+        } else if (_support == 1) {
+            _countVote(proposal, receipt, _weight, 0, 0);
+        } else {
+            _countVote(proposal, receipt, 0, 0, _weight);
+        }
+
+        emit VoteCast(proposal.id, _voter, _support, _weight, _reason);
+    }
+
+    /**
+     * @dev Record part of a voter's weight split across for, against and abstain
+     * @param proposal Proposal being voted on
+     * @param _voter Address casting the vote
+     * @param _forWeight Weight to count for the proposal
+     * @param _againstWeight Weight to count against the proposal
+     * @param _abstainWeight Weight to count as abstaining
+     * @param _totalWeight Voter's voting power at the proposal snapshot
+     * @param _reason Reason for the vote
+     */
+    function castVoteFractional(
+        Proposal storage proposal,
+        address _voter,
+        uint256 _forWeight,
+        uint256 _againstWeight,
+        uint256 _abstainWeight,
+        uint256 _totalWeight,
+        string memory _reason
+    ) external {
+        Receipt storage receipt = proposal.receipts[_voter];
+        require(!receipt.hasVoted || receipt.support == SUPPORT_FRACTIONAL, "Already voted");
+
+        uint256 castWeight = _forWeight + _againstWeight + _abstainWeight;
+        require(castWeight > 0, "No weight cast");
+        require(_totalWeight > 0, "No voting power");
+        require(receipt.weight + castWeight <= _totalWeight, "Exceeds voting power");
+
+        receipt.hasVoted = true;
+        receipt.support = SUPPORT_FRACTIONAL;
+        receipt.weight += castWeight;
+        receipt.reasonHash = keccak256(bytes(_reason));
+        _countVote(proposal, receipt, _forWeight, _againstWeight, _abstainWeight);
+
+        emit VoteCast(proposal.id, _voter, SUPPORT_FRACTIONAL, castWeight, _reason);
+        emit VoteCastFractional(proposal.id, _voter, _forWeight, _againstWeight, _abstainWeight);
+    }
+
+    /**
+     * @dev Withdraw a voter's ballot so they can vote again
+     * @param proposal Proposal the ballot was cast on
+     * @param _voter Address whose ballot is withdrawn
+     */
+    function retractVote(Proposal storage proposal, address _voter) external {
+        require(proposal.voteChangesAllowed, "Vote changes not allowed");
+        require(proposal.receipts[_voter].hasVoted, "Not voted");
+
+        _retractVote(proposal, _voter);
+    }
+
+    /**
+     * @dev Take the proposal deposit from the proposer
+     * @param proposal Newly created proposal
+     * @param _token Governance token the deposit is paid in
+     * @param _amount Deposit amount, zero for none
+     */
+    function lockDeposit(Proposal storage proposal, IERC20 _token, uint256 _amount) external {
+        if (_amount == 0) {
+            return;
+        }
+        proposal.deposit = _amount;
+        _token.safeTransferFrom(proposal.proposer, address(this), _amount);
+    }
+
+    /**
+     * @dev Release a proposal's deposit to its proposer, or keep it in the governance contract
+     * @param proposal Proposal whose deposit to settle
+     * @param _token Governance token the deposit was paid in
+     * @param _refund True to return the deposit to the proposer
+     */
+    function settleDeposit(Proposal storage proposal, IERC20 _token, bool _refund) public {
+        uint256 deposit = proposal.deposit;
+        if (deposit == 0) {
+            return;
+        }
+        proposal.deposit = 0;
+
+        if (_refund) {
+            _token.safeTransfer(proposal.proposer, deposit);
+            emit ProposalDepositRefunded(proposal.id, proposal.proposer, deposit);
+        } else {
+            emit ProposalDepositForfeited(proposal.id, deposit);
+        }
+    }
+
+    /**
+     * @dev Settle the deposit of a proposal that ended without a transaction: refunded if
+     * quorum was reached (Defeated or Expired), kept if quorum was missed. The caller releases
+     * the ETH an expired proposal still reserves.
+     * @param proposal Proposal whose deposit to settle
+     * @param _token Governance token the deposit was paid in
+     */
+    function settleEndedDeposit(Proposal storage proposal, IERC20 _token) external {
+        ProposalState current = state(proposal);
+        require(
+            current == ProposalState.Defeated ||
+                current == ProposalState.QuorumNotMet ||
+                current == ProposalState.Expired,
+            "Proposal not settled"
+        );
+        require(proposal.deposit > 0 || proposal.reservedValue > 0, "Nothing to settle");
+
+        settleDeposit(proposal, _token, quorumReached(proposal));
+    }
+
+    /**
+     * @dev Start the execution delay of a proposal that passed with quorum, reserving the ETH its actions send
+     * @param proposal Proposal to queue
+     * @param _actions The proposal's actions
+     * @return eta Timestamp from which the proposal can execute
+     */
+    function queue(Proposal storage proposal, ProposalActionLib.ProposalAction[] storage _actions)
+        external
+        returns (uint256 eta)
+    {
+        require(block.timestamp > proposal.endTime, "Voting not ended");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(proposal.eta == 0, "Proposal already queued");
+        require(voteSucceeded(proposal), "Proposal not passed");
+        require(quorumReached(proposal), "Quorum not met");
+
+        eta = block.timestamp + proposal.executionDelay;
+        proposal.eta = eta;
+
+        uint256 value;
+        uint256 length = _actions.length;
+        for (uint256 i = 0; i < length; ) {
+            value += _actions[i].value;
+            unchecked {
+                ++i;
+            }
+        }
+        proposal.reservedValue = value;
+    }
+
+    /**
+     * @dev Cancel a proposal that has not run and settle its deposit
+     * @param proposal Proposal to cancel
+     * @param _token Governance token the deposit was paid in
+     * @param _refund True to return the deposit to the proposer
+     */
+    function cancel(Proposal storage proposal, IERC20 _token, bool _refund) public {
+        require(!proposal.executed, "Proposal executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+
+        proposal.cancelled = true;
+        settleDeposit(proposal, _token, _refund);
+    }
+
+    /**
+     * @dev Veto a proposal that has not ended (pending, active, succeeded or queued), forfeiting its deposit
+     * @param proposal Proposal to veto
+     * @param _token Governance token the deposit was paid in
+     */
+    function veto(Proposal storage proposal, IERC20 _token) external {
+        ProposalState current = state(proposal);
+        require(current != ProposalState.Expired, "Proposal expired");
+        require(current != ProposalState.Defeated && current != ProposalState.QuorumNotMet, "Proposal defeated");
+
+        // Executed and cancelled proposals are refused here
+        cancel(proposal, _token, false);
+        proposal.vetoed = true;
+    }
+
+    /**
+     * @dev Derive a proposal's state from its flags, tallies and timestamps
+     */
+    function state(Proposal storage proposal) public view returns (ProposalState) {
+        if (proposal.vetoed) {
+            return ProposalState.Vetoed;
+        }
+        
+        if (proposal.cancelled) {
+            return ProposalState.Cancelled;
+        }
+        
+        if (proposal.executed) {
+            return ProposalState.Executed;
+        }
+        
+        if (block.timestamp < proposal.startTime) {
+            return ProposalState.Pending;
+        }
+        
+        if (block.timestamp <= proposal.endTime) {
+            return ProposalState.Active;
+        }
+        
+        if (!voteSucceeded(proposal)) {
+            return ProposalState.Defeated;
+        }
+        
+        if (!quorumReached(proposal)) {
+            return ProposalState.QuorumNotMet;
+        }
+        
+        if (proposal.eta == 0) {
+            return ProposalState.Succeeded;
+        }
+        
+        if (block.timestamp > proposal.eta + GRACE_PERIOD) {
+            return ProposalState.Expired;
+        }
+        
+        return ProposalState.Queued;
+    }
+
+    /**
+     * @dev Summarise a proposal for off-chain consumers
+     * @param proposal Proposal to summarise
+     * @param _actionCount Number of actions stored for the proposal
+     */
+    function details(Proposal storage proposal, uint256 _actionCount)
+        public
+        view
+        returns (ProposalDetails memory summary)
+    {
+        summary.id = proposal.id;
+        summary.proposer = proposal.proposer;
+        summary.title = proposal.title;
+        summary.state = state(proposal);
+        summary.startTime = proposal.startTime;
+        summary.endTime = proposal.endTime;
+        summary.snapshot = proposal.snapshot;
+        summary.eta = proposal.eta;
+        summary.forVotes = proposal.forVotes;
+        summary.againstVotes = proposal.againstVotes;
+        summary.abstainVotes = proposal.abstainVotes;
+        summary.quorumVotes = proposal.quorumVotes;
+        summary.quorumReached = quorumReached(proposal);
+        summary.voteSucceeded = voteSucceeded(proposal);
+        summary.actionCount = _actionCount;
+        summary.executionMode = proposal.executionMode;
+    }
+
+    /**
+     * @dev Summarise a range of proposals; the caller checks the range is valid
+     * @param _proposals Proposals by ID
+     * @param _actions Stored actions by proposal ID
+     * @param _fromId First proposal ID (inclusive)
+     * @param _toId Last proposal ID (inclusive)
+     */
+    function detailsRange(
+        mapping(uint256 => Proposal) storage _proposals,
+        mapping(uint256 => ProposalActionLib.ProposalAction[]) storage _actions,
+        uint256 _fromId,
+        uint256 _toId
+    ) external view returns (ProposalDetails[] memory summaries) {
+        summaries = new ProposalDetails[](_toId - _fromId + 1);
+        for (uint256 i = 0; i < summaries.length;) {
+            uint256 proposalId = _fromId + i;
+            summaries[i] = details(_proposals[proposalId], _actions[proposalId].length);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Name of a proposal's state, reporting "QuorumNotMet" as "Defeated" for older integrations
+     */
+    function stateName(Proposal storage proposal) external view returns (string memory) {
+        ProposalState current = state(proposal);
+
+        if (current == ProposalState.Pending) return "Pending";
+        if (current == ProposalState.Active) return "Active";
+        if (current == ProposalState.Cancelled) return "Cancelled";
+        if (current == ProposalState.Defeated || current == ProposalState.QuorumNotMet) return "Defeated";
+        if (current == ProposalState.Succeeded) return "Succeeded";
+        if (current == ProposalState.Queued) return "Queued";
+        if (current == ProposalState.Expired) return "Expired";
+        if (current == ProposalState.Executed) return "Executed";
+        return "Vetoed";
+    }
+
+    /**
+     * @dev Check whether for votes outnumber against votes
+     */
+    function voteSucceeded(Proposal storage proposal) internal view returns (bool) {
+        return proposal.forVotes > proposal.againstVotes;
+    }
+
+    /**
+     * @dev Check whether a proposal's counted votes meet its quorum
+     */
+    function quorumReached(Proposal storage proposal) internal view returns (bool) {
+        uint256 counted = proposal.forVotes + proposal.againstVotes;
+        if (proposal.quorumCountsAbstain) {
+            counted += proposal.abstainVotes;
+        }
+        return counted >= proposal.quorumVotes;
+    }
+
+    /**
+     * @dev Add weight to the proposal tallies and to the voter's receipt
+     */
+    function _countVote(
+        Proposal storage proposal,
+        Receipt storage receipt,
+        uint256 _forWeight,
+        uint256 _againstWeight,
+        uint256 _abstainWeight
+    ) private {
+        proposal.forVotes += _forWeight;
+        proposal.againstVotes += _againstWeight;
+        proposal.abstainVotes += _abstainWeight;
+
+        receipt.forWeight += _forWeight;
+        receipt.againstWeight += _againstWeight;
+        receipt.abstainWeight += _abstainWeight;
+    }
+
+    /**
+     * @dev Remove a voter's ballot from the tallies it was counted in and clear the receipt
+     */
+    function _retractVote(Proposal storage proposal, address _voter) private {
+        Receipt memory previous = proposal.receipts[_voter];
+
+        proposal.forVotes -= previous.forWeight;
+        proposal.againstVotes -= previous.againstWeight;
+        proposal.abstainVotes -= previous.abstainWeight;
+
+        delete proposal.receipts[_voter];
+        emit VoteChanged(proposal.id, _voter, previous.support, previous.weight);
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../interfaces/IBridgeAdapter.sol";
+import "../interfaces/IBridgeReceiver.sol";
+
+/**
+ * @title MockBridge
+ * @dev Bridge adapter and destination endpoint in one contract, for testing cross-chain
+ * execution on a single Hardhat network. `sendMessage` queues a message as if it left
+ * `sourceChainId`; `deliver` hands it to the receiver the way a relayer would.
+ * Delivery is not deduplicated, so receivers' replay protection can be tested.
+ */
+contract MockBridge is IBridgeAdapter {
+    struct Message {
+        address sender;
+        address receiver;
+        uint256 destinationChainId;
+        bytes payload;
+    }
+
+    event MessageDelivered(bytes32 indexed messageId);
+
+    // Chain ID reported to receivers as the origin of every message
+    uint256 public immutable sourceChainId;
+
+    uint256 public fee;
+    uint256 public messageCount;
+
+    mapping(bytes32 => Message) public messages;
+
+    constructor(uint256 _sourceChainId) {
+        sourceChainId = _sourceChainId;
+    }
+
+    /**
+     * @dev Set the fee `sendMessage` requires (for testing)
+     */
+    function setFee(uint256 _fee) external {
+        fee = _fee;
+    }
+
+    function sendMessage(
+        uint256 _destinationChainId,
+        address _receiver,
+        bytes calldata _payload
+    ) external payable override returns (bytes32 messageId) {
+        require(msg.value == fee, "Incorrect fee");
+
+        messageId = keccak256(abi.encode(address(this), sourceChainId, ++messageCount));
+        messages[messageId] = Message(msg.sender, _receiver, _destinationChainId, _payload);
+
+        emit MessageSent(messageId, _destinationChainId, _receiver, msg.sender, _payload);
+    }
+
+    function quoteFee(uint256, address, bytes calldata) external view override returns (uint256) {
+        return fee;
+    }
+
+    /**
+     * @dev Deliver a sent message to its receiver; reverts bubble up
+     */
+    function deliver(bytes32 _messageId) external {
+        Message storage message = messages[_messageId];
+        require(message.receiver != address(0), "Unknown message");
+
+        IBridgeReceiver(message.receiver).receiveMessage(sourceChainId, message.sender, _messageId, message.payload);
+        emit MessageDelivered(_messageId);
+    }
+
+    /**
+     * @dev Deliver a message with any origin and ID, to test receivers' sender checks
+     */
+    function deliverForged(
+        address _receiver,
+        uint256 _sourceChainId,
+        address _sender,
+        bytes32 _messageId,
+        bytes calldata _payload
+    ) external {
+        IBridgeReceiver(_receiver).receiveMessage(_sourceChainId, _sender, _messageId, _payload);
+    }
+}
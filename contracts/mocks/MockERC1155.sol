@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev Simple ERC1155 token for testing treasury custody
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @dev Mint tokens of a type to an address (for testing)
+     */
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev Simple ERC721 token for testing treasury custody
+ */
+contract MockERC721 is ERC721 {
+    constructor(string memory name, string memory symbol) ERC721(name, symbol) {}
+
+    /**
+     * @dev Mint a token to an address (for testing)
+     */
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
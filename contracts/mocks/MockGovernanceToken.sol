@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface IVotingPowerReceiver {
+    function updateVotingPower(address _user, uint256 _newBalance) external;
+}
+
+/**
+ * @title MockGovernanceToken
+ * @dev ERC20 that reports every balance change to the governance contract through
+ * `updateVotingPower`, as a production governance token would (for testing)
+ */
+contract MockGovernanceToken is ERC20 {
+    address public governance;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    /**
+     * @dev Set the governance contract to notify; it is deployed after the token
+     */
+    function setGovernance(address _governance) external {
+        require(governance == address(0), "Governance already set");
+        governance = _governance;
+    }
+
+    /**
+     * @dev Mint tokens to an address (for testing)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Burn tokens from an address (for testing)
+     */
+    function burn(address from, uint256 amount) external {
+        _burn(from, amount);
+    }
+
+    function _afterTokenTransfer(address from, address to, uint256) internal override {
+        if (governance == address(0)) {
+            return;
+        }
+        if (from != address(0)) {
+            IVotingPowerReceiver(governance).updateVotingPower(from, balanceOf(from));
+        }
+        if (to != address(0)) {
+            IVotingPowerReceiver(governance).updateVotingPower(to, balanceOf(to));
+        }
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../Governance.sol";
+
+/**
+ * @title MockGovernanceV2
+ * @dev Governance upgrade for testing: appends a state variable after the existing layout and migrates it.
+ * It only ever upgrades an initialized proxy, so it has a reinitializer instead of an initializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract MockGovernanceV2 is Governance {
+    uint256 public upgradeNote;
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    /**
+     * @dev Migration run once by the upgrade proposal through ProxyAdmin.upgradeAndCall
+     */
+    function initializeV2(uint256 _note) external reinitializer(2) {
+        upgradeNote = _note;
+    }
+}
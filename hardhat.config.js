@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/governance");
 
 // Validate private key format
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
@@ -15,6 +17,8 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // The IR pipeline optimizes across functions and keeps Governance under the 24KB contract size limit
+      viaIR: true,
     },
   },
   networks: {
@@ -1,34 +1,159 @@
 const hre = require("hardhat");
-const fs = require('fs');
+const { deployGovernanceLibraries } = require('./lib/libraries');
+const { deployGovernanceProxy } = require('./lib/upgrades');
+const {
+  recordDeployment,
+  activeChainId,
+  loadProfile,
+  gitCommit,
+  artifactHashes,
+  findMatchingDeployment
+} = require('./lib/deployments');
+
+// Defaults for governance parameters (durations in seconds, thresholds in whole tokens)
+const DEFAULT_PARAMS = {
+  VOTING_DELAY: "86400",      // 1 day
+  VOTING_PERIOD: "259200",    // 3 days
+  PROPOSAL_THRESHOLD: "1000",
+  QUORUM_NUMERATOR: "400",    // basis points of total supply (4%)
+  QUORUM_COUNTS_ABSTAIN: "true",
+  EXECUTION_DELAY: "86400"    // 1 day
+};
+
+// Settings come from the environment, then profiles/<network>.json, then the defaults above
+const profile = loadProfile(hre.network.name);
+
+function setting(name) {
+  const value = process.env[name] || profile[name] || DEFAULT_PARAMS[name];
+  return value === undefined ? undefined : String(value);
+}
+
+function readParam(name) {
+  const value = setting(name);
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return value;
+}
+
+function readBoolParam(name) {
+  const value = setting(name).toLowerCase();
+  if (value !== "true" && value !== "false") {
+    throw new Error(`${name} must be "true" or "false", got "${value}"`);
+  }
+  return value === "true";
+}
+
+// Operational roles granted after deployment, each defaulting to the deployer
+const ROLE_ENV = {
+  WHITELIST_MANAGER_ROLE: "WHITELIST_MANAGER_ADDRESS",
+  PAUSER_ROLE: "PAUSER_ADDRESS",
+  TREASURER_ROLE: "TREASURER_ADDRESS"
+};
+
+function readAddress(name, fallback) {
+  const value = setting(name) || fallback;
+  if (!hre.ethers.isAddress(value)) {
+    throw new Error(`${name} must be a valid address, got "${value}"`);
+  }
+  return value;
+}
+
+function loadGovernanceParams() {
+  return {
+    votingDelay: BigInt(readParam("VOTING_DELAY")),
+    votingPeriod: BigInt(readParam("VOTING_PERIOD")),
+    proposalThreshold: hre.ethers.parseEther(readParam("PROPOSAL_THRESHOLD")),
+    quorumNumerator: BigInt(readParam("QUORUM_NUMERATOR")),
+    quorumCountsAbstain: readBoolParam("QUORUM_COUNTS_ABSTAIN"),
+    executionDelay: BigInt(readParam("EXECUTION_DELAY"))
+  };
+}
 
 async function main() {
   // Get network name
   const network = hre.network.name;
-  const isMainnet = network === "base";
+  if (process.env.DEPLOYMENT_CHAIN_ID) {
+    throw new Error("DEPLOYMENT_CHAIN_ID only selects which deployment scripts read; unset it to deploy");
+  }
+  const chainId = await activeChainId(hre);
 
-  console.log(`🚀 Deploying Governance Contract to ${network}...\n`);
+  console.log(`🚀 Deploying Governance Contract to ${network} (chainId ${chainId})...\n`);
 
   // Validate governance token address
-  const governanceToken = process.env.GOVERNANCE_TOKEN_ADDRESS;
+  const governanceToken = setting("GOVERNANCE_TOKEN_ADDRESS");
   if (!governanceToken || !governanceToken.startsWith('0x') || governanceToken.length !== 42) {
     throw new Error("GOVERNANCE_TOKEN_ADDRESS environment variable is required and must be a valid address");
   }
   console.log("🪙 Governance Token:", governanceToken);
 
+  const params = loadGovernanceParams();
+  console.log("⚙️  Voting Delay:", params.votingDelay.toString(), "s");
+  console.log("⚙️  Voting Period:", params.votingPeriod.toString(), "s");
+  console.log("⚙️  Proposal Threshold:", hre.ethers.formatEther(params.proposalThreshold), "tokens");
+  console.log("⚙️  Quorum:", params.quorumNumerator.toString(), "bps of total supply");
+  console.log("⚙️  Quorum Counts Abstain:", params.quorumCountsAbstain);
+  console.log("⚙️  Execution Delay:", params.executionDelay.toString(), "s");
+
   const [deployer] = await hre.ethers.getSigners();
   console.log("📝 Deploying with account:", deployer.address);
 
+  // Guardian can veto proposals before they run; defaults to the deployer
+  const guardian = readAddress("GUARDIAN_ADDRESS", deployer.address);
+  console.log("🛡️  Guardian:", guardian);
+
+  const roleHolders = {};
+  for (const [role, envName] of Object.entries(ROLE_ENV)) {
+    roleHolders[role] = readAddress(envName, deployer.address);
+    console.log(`🔑 ${role}:`, roleHolders[role]);
+  }
+  const renounceAdmin = setting("RENOUNCE_ADMIN") === "true";
+
+  const initializerArgs = [
+    governanceToken,
+    params.votingDelay,
+    params.votingPeriod,
+    params.proposalThreshold,
+    params.quorumNumerator,
+    params.quorumCountsAbstain,
+    params.executionDelay,
+    guardian
+  ];
+
+  // Redeploying identical code with identical arguments would only orphan the live contracts
+  const governanceHashes = await artifactHashes(hre, "Governance");
+  const fingerprint = {
+    governance: governanceHashes.bytecodeHash,
+    treasury: (await artifactHashes(hre, "Treasury")).bytecodeHash,
+    initializerArgs: initializerArgs.map((arg) => arg.toString()),
+    roles: roleHolders,
+    renounceAdmin: renounceAdmin
+  };
+  const existing = await findMatchingDeployment(hre, fingerprint);
+  if (existing && process.env.FORCE_REDEPLOY !== "true") {
+    console.log(`✅ Already deployed at ${existing.contractAddress} from the same code and settings; nothing to do.`);
+    console.log("   Set FORCE_REDEPLOY=true to deploy a new copy anyway.\n");
+    return null;
+  }
+
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("💰 Account balance:", hre.ethers.formatEther(balance), "ETH\n");
 
-  const Contract = await hre.ethers.getContractFactory("Governance");
-
-  console.log("⏳ Deploying Governance contract...");
-  const contract = await Contract.deploy(governanceToken);
+  console.log("⏳ Deploying linked libraries...");
+  const libraries = await deployGovernanceLibraries(hre.ethers);
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`✅ ${name} deployed to:`, address);
+  }
 
-  await contract.waitForDeployment();
+  // Integrators use the proxy address; the implementation behind it changes only through proposals
+  console.log("⏳ Deploying Governance implementation and proxy...");
+  const contract = await deployGovernanceProxy(hre, initializerArgs, libraries);
   const contractAddress = await contract.getAddress();
-  console.log("✅ Governance deployed to:", contractAddress);
+  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(contractAddress);
+  const proxyAdminAddress = await hre.upgrades.erc1967.getAdminAddress(contractAddress);
+  console.log("✅ Governance proxy deployed to:", contractAddress);
+  console.log("✅ Implementation deployed to:", implementationAddress);
+  console.log("✅ ProxyAdmin (owned by the proxy) at:", proxyAdminAddress);
 
   console.log("⏳ Waiting for 5 block confirmations...");
   const deployTx = contract.deploymentTransaction();
@@ -37,13 +162,65 @@ async function main() {
 
   const receipt = await deployTx.wait();
 
+  console.log("⏳ Deploying Treasury contract...");
+  const Treasury = await hre.ethers.getContractFactory("Treasury");
+  const treasury = await Treasury.deploy(contractAddress);
+  await treasury.waitForDeployment();
+  const treasuryAddress = await treasury.getAddress();
+  await (await contract.setTreasury(treasuryAddress)).wait();
+  console.log("✅ Treasury deployed to:", treasuryAddress);
+
+  console.log("⏳ Assigning roles...");
+  for (const [role, holder] of Object.entries(roleHolders)) {
+    await (await contract.grantRole(await contract[role](), holder)).wait();
+    console.log(`✅ ${role} granted to:`, holder);
+  }
+
+  const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+  if (renounceAdmin) {
+    await (await contract.renounceRole(adminRole, deployer.address)).wait();
+    console.log("✅ Deployer renounced DEFAULT_ADMIN_ROLE; roles now change only through proposals\n");
+  } else {
+    console.log("⚠️  Deployer still holds DEFAULT_ADMIN_ROLE; renounce it to hand control to the DAO\n");
+  }
+
+  const roles = {
+    DEFAULT_ADMIN_ROLE: renounceAdmin ? [contractAddress] : [deployer.address, contractAddress],
+    GUARDIAN_ROLE: guardian === hre.ethers.ZeroAddress ? [] : [guardian]
+  };
+  for (const [role, holder] of Object.entries(roleHolders)) {
+    roles[role] = [holder];
+  }
+
   const deploymentInfo = {
     network: network,
+    chainId: chainId,
     contractName: "Governance",
     contractAddress: contractAddress,
+    proxyAdminAddress: proxyAdminAddress,
+    implementationAddress: implementationAddress,
     governanceToken: governanceToken,
+    treasuryAddress: treasuryAddress,
+    treasuryConstructorArgs: [contractAddress],
+    initializerArgs: initializerArgs.map((arg) => arg.toString()),
+    parameters: {
+      votingDelay: params.votingDelay.toString(),
+      votingPeriod: params.votingPeriod.toString(),
+      proposalThreshold: params.proposalThreshold.toString(),
+      quorumNumerator: params.quorumNumerator.toString(),
+      quorumCountsAbstain: params.quorumCountsAbstain,
+      executionDelay: params.executionDelay.toString()
+    },
+    libraries: libraries,
+    // Every implementation the proxy has run, oldest first; executed upgrades are appended to it
+    implementations: [
+      { address: implementationAddress, libraries: libraries, timestamp: new Date().toISOString() }
+    ],
+    roles: roles,
     deployer: deployer.address,
-    chainId: isMainnet ? 8453 : 84532,
+    git: gitCommit(),
+    abiHash: governanceHashes.abiHash,
+    fingerprint: fingerprint,
     timestamp: new Date().toISOString(),
     blockNumber: receipt.blockNumber,
     transactionHash: receipt.hash,
@@ -51,13 +228,15 @@ async function main() {
     gasPrice: receipt.gasPrice.toString()
   };
 
-  fs.writeFileSync('deployment.json', JSON.stringify(deploymentInfo, null, 2));
+  const deploymentFile = recordDeployment(deploymentInfo);
 
-  console.log("📄 Deployment info saved to deployment.json\n");
+  console.log("📄 Deployment info saved to", deploymentFile, "\n");
   console.log("═══════════════════════════════════════");
   console.log("🎉 DEPLOYMENT SUCCESSFUL!");
   console.log("═══════════════════════════════════════");
   console.log("Contract:", contractAddress);
+  console.log("Implementation:", implementationAddress);
+  console.log("Treasury:", treasuryAddress);
   console.log("Token:", governanceToken);
   console.log("Gas Used:", receipt.gasUsed.toString());
   console.log("═══════════════════════════════════════\n");
@@ -0,0 +1,55 @@
+const hre = require("hardhat");
+const path = require('path');
+const { DEFAULT_BATCH_SIZE, DEFAULT_CONFIRMATIONS, runIndexer, exportAll } = require('./lib/indexer');
+const { loadDeployment } = require('./lib/deployments');
+
+// Rebuild proposal, vote, delegation and voting power history from governance logs:
+//   npm run index                                  # Base Mainnet
+//   npx hardhat run scripts/index-events.js --network localhost
+// Re-running resumes from the checkpoint. EXPORT_FORMAT=csv|json also writes a report per proposal.
+async function main() {
+  const outputDir = path.resolve(process.env.INDEX_DIR || path.join(__dirname, '../indexer'));
+  const batchSize = Number(process.env.INDEX_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error("INDEX_BATCH_SIZE must be a positive integer");
+  }
+  const confirmations = Number(process.env.INDEX_CONFIRMATIONS || DEFAULT_CONFIRMATIONS);
+  if (!Number.isInteger(confirmations) || confirmations < 0) {
+    throw new Error("INDEX_CONFIRMATIONS must be a non-negative integer");
+  }
+
+  const deploymentInfo = await loadDeployment(hre);
+  const governance = await hre.ethers.getContractAt("Governance", deploymentInfo.contractAddress);
+
+  console.log("🔍 Indexing governance events on", hre.network.name);
+  const { store, fromBlock, toBlock } = await runIndexer(governance, {
+    storeFile: path.join(outputDir, 'store.json'),
+    checkpointFile: path.join(outputDir, 'checkpoint.json'),
+    startBlock: deploymentInfo.blockNumber || 0,
+    batchSize,
+    confirmations
+  });
+
+  if (fromBlock > toBlock) {
+    console.log(`✅ Already up to date at block ${toBlock} (${confirmations} confirmations)`);
+  } else {
+    console.log(`✅ Indexed blocks ${fromBlock}-${toBlock}`);
+  }
+  console.log("📊 Proposals:", Object.keys(store.proposals).length);
+  console.log("📊 Votes:", Object.keys(store.votes).length);
+  console.log("📊 Delegation share changes:", Object.keys(store.delegations).length);
+  console.log("📊 Voting power updates:", Object.keys(store.votingPower).length);
+
+  const format = process.env.EXPORT_FORMAT;
+  if (format) {
+    const files = exportAll(store, path.join(outputDir, 'reports'), format);
+    console.log(`📄 Wrote ${files.length} ${format.toUpperCase()} reports to`, path.join(outputDir, 'reports'));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+
+const EXECUTION_MODE_NAMES = { atomic: 0, "best-effort": 1 };
+
+// IBridgeAdapter entry point a remote action calls, and the ProposalAction[] payload it carries
+const REMOTE_SIGNATURE = "sendMessage(uint256,address,bytes)";
+const REMOTE_PAYLOAD_TYPE = "tuple(address target,uint256 value,string signature,bytes data)[]";
+
+/**
+ * Parse an action value: wei as a number or string, or an amount such as "0.5 ether"
+ */
+function parseValue(value) {
+  if (value === undefined || value === null) {
+    return 0n;
+  }
+  const match = /^\s*([\d.]+)\s*ether\s*$/.exec(String(value));
+  return match ? ethers.parseEther(match[1]) : BigInt(value);
+}
+
+/**
+ * Turn a human-readable action into the form Governance stores.
+ * `{ target, value, signature: "transfer(address,uint256)", args: [...] }` has its arguments
+ * ABI-encoded; actions without a signature pass `data` through as raw calldata.
+ */
+function encodeAction(action, index = 0) {
+  if (action.actions) {
+    action = remoteAction(action, index);
+  }
+  if (!ethers.isAddress(action.target)) {
+    throw new Error(`Action ${index}: invalid target "${action.target}"`);
+  }
+
+  const signature = action.signature || "";
+  let data = action.data || "0x";
+  if (signature) {
+    const fragment = ethers.FunctionFragment.from(signature);
+    if (fragment.format("sighash") !== signature) {
+      throw new Error(`Action ${index}: signature must be canonical, e.g. "${fragment.format("sighash")}"`);
+    }
+    const args = action.args || [];
+    if (args.length !== fragment.inputs.length) {
+      throw new Error(`Action ${index}: ${signature} takes ${fragment.inputs.length} arguments, got ${args.length}`);
+    }
+    data = ethers.AbiCoder.defaultAbiCoder().encode(fragment.inputs, args);
+  } else if (action.args) {
+    throw new Error(`Action ${index}: args require a signature`);
+  }
+
+  return { target: action.target, value: parseValue(action.value), signature, data };
+}
+
+/**
+ * Turn a remote action into the bridge call that sends it:
+ * `{ bridge, chainId, executor, value, actions: [...] }` runs `actions` through the
+ * CrossChainExecutor at `executor` on chain `chainId`, paying `value` as the bridge fee.
+ */
+function remoteAction(action, index = 0) {
+  if (!ethers.isAddress(action.bridge) || !ethers.isAddress(action.executor)) {
+    throw new Error(`Action ${index}: remote actions need bridge and executor addresses`);
+  }
+  if (!/^\d+$/.test(String(action.chainId))) {
+    throw new Error(`Action ${index}: invalid chainId "${action.chainId}"`);
+  }
+  if (!Array.isArray(action.actions) || action.actions.length === 0) {
+    throw new Error(`Action ${index}: remote actions need a non-empty "actions" list`);
+  }
+
+  return {
+    target: action.bridge,
+    value: action.value,
+    signature: REMOTE_SIGNATURE,
+    args: [action.chainId, action.executor, encodeRemotePayload(action.actions.map(encodeAction))]
+  };
+}
+
+/**
+ * ABI-encode encoded actions as the payload a CrossChainExecutor runs
+ */
+function encodeRemotePayload(actions) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    [REMOTE_PAYLOAD_TYPE],
+    [actions.map((action) => [action.target, action.value, action.signature, action.data])]
+  );
+}
+
+/**
+ * Decode a stored action's arguments back into readable values.
+ * Bridge calls also decode the actions they carry, under `remote`.
+ */
+function decodeAction(action) {
+  const value = ethers.formatEther(action.value);
+  if (!action.signature) {
+    return { target: action.target, value, call: action.data === "0x" ? "(transfer)" : `raw ${action.data}` };
+  }
+
+  const fragment = ethers.FunctionFragment.from(action.signature);
+  const args = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, action.data);
+  const formatted = fragment.inputs.map((input, i) => `${input.name || input.type}=${args[i]}`);
+  const decoded = { target: action.target, value, call: `${fragment.name}(${formatted.join(", ")})` };
+
+  if (action.signature === REMOTE_SIGNATURE) {
+    try {
+      const [remote] = ethers.AbiCoder.defaultAbiCoder().decode([REMOTE_PAYLOAD_TYPE], args[2]);
+      decoded.call = `${fragment.name}(chainId=${args[0]}, executor=${args[1]})`;
+      decoded.remote = remote.map((item) => decodeAction({
+        target: item.target,
+        value: item.value,
+        signature: item.signature,
+        data: item.data
+      }));
+    } catch (error) {
+      // Not a CrossChainExecutor payload; keep the raw arguments
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Load a proposal from a JSON or YAML file:
+ * `{ title, description, executionMode: atomic | best-effort, actions: [...] }`
+ */
+function loadProposalFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  const proposal = extension === ".json" ? JSON.parse(text) : YAML.parse(text);
+
+  if (!proposal || !Array.isArray(proposal.actions) || proposal.actions.length === 0) {
+    throw new Error(`${file} must define a non-empty "actions" list`);
+  }
+
+  const modeName = (proposal.executionMode || "atomic").toLowerCase();
+  if (!(modeName in EXECUTION_MODE_NAMES)) {
+    throw new Error(`Unknown execution mode "${proposal.executionMode}"; use atomic or best-effort`);
+  }
+
+  return {
+    title: proposal.title,
+    description: proposal.description,
+    executionMode: EXECUTION_MODE_NAMES[modeName],
+    actions: proposal.actions.map(encodeAction)
+  };
+}
+
+module.exports = {
+  REMOTE_SIGNATURE,
+  parseValue,
+  encodeAction,
+  remoteAction,
+  encodeRemotePayload,
+  decodeAction,
+  loadProposalFile
+};
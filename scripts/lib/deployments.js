@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+
+// One record per chain: deployments/<chainId>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+// Per-network parameter defaults: profiles/<network>.json
+const PROFILES_DIR = path.join(__dirname, "../../profiles");
+
+function deploymentPath(chainId, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Recorded deployment for a chain, or `null` when there is none
+ */
+function readDeployment(chainId, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(chainId, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write `record` as the chain's deployment. A record for a different contract address is
+ * kept in `previousDeployments` rather than lost.
+ */
+function recordDeployment(record, dir = DEPLOYMENTS_DIR) {
+  const existing = readDeployment(record.chainId, dir);
+  if (existing && existing.contractAddress !== record.contractAddress) {
+    const { previousDeployments = [], ...previous } = existing;
+    record.previousDeployments = [...previousDeployments, previous];
+  }
+
+  const file = deploymentPath(record.chainId, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Chain the registry is read for: the connected network's, unless DEPLOYMENT_CHAIN_ID
+ * points a local fork at the chain it forked
+ */
+async function activeChainId(hre) {
+  if (process.env.DEPLOYMENT_CHAIN_ID) {
+    return Number(process.env.DEPLOYMENT_CHAIN_ID);
+  }
+  const network = await hre.ethers.provider.getNetwork();
+  return Number(network.chainId);
+}
+
+/**
+ * Deployment recorded for the active network; throws when there is none
+ */
+async function loadDeployment(hre, dir = DEPLOYMENTS_DIR) {
+  const chainId = await activeChainId(hre);
+  const deployment = readDeployment(chainId, dir);
+  if (!deployment) {
+    throw new Error(`No deployment recorded for ${hre.network.name} (chainId ${chainId}) in ${deploymentPath(chainId, dir)}. Deploy the contract first.`);
+  }
+  return deployment;
+}
+
+/**
+ * Parameter defaults for a network from profiles/<network>.json; empty when it has no profile
+ */
+function loadProfile(network, dir = PROFILES_DIR) {
+  const file = path.join(dir, `${network}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/**
+ * Commit the deployment was built from, flagged when the working tree had uncommitted changes
+ */
+function gitCommit() {
+  try {
+    const commit = execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+    const dirty = execSync("git status --porcelain", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim() !== "";
+    return { commit, dirty };
+  } catch (error) {
+    return { commit: null, dirty: null };
+  }
+}
+
+/**
+ * Hashes identifying a compiled contract: its ABI, and its bytecode before libraries are linked
+ */
+async function artifactHashes(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return {
+    abiHash: ethers.id(JSON.stringify(artifact.abi)),
+    bytecodeHash: ethers.keccak256(artifact.bytecode.replace(/__\$[0-9a-fA-F]{34}\$__/g, "0".repeat(40)))
+  };
+}
+
+/**
+ * The recorded deployment when it was built from the same code and arguments (`fingerprint`)
+ * and is still live on chain, so deploying again would only duplicate it
+ */
+async function findMatchingDeployment(hre, fingerprint, dir = DEPLOYMENTS_DIR) {
+  const deployment = readDeployment(await activeChainId(hre), dir);
+  if (!deployment || JSON.stringify(deployment.fingerprint) !== JSON.stringify(fingerprint)) {
+    return null;
+  }
+  const code = await hre.ethers.provider.getCode(deployment.contractAddress);
+  return code === "0x" ? null : deployment;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  readDeployment,
+  recordDeployment,
+  activeChainId,
+  loadDeployment,
+  loadProfile,
+  gitCommit,
+  artifactHashes,
+  findMatchingDeployment
+};
@@ -0,0 +1,271 @@
+const fs = require("fs");
+const path = require("path");
+
+const SUPPORT_LABELS = ["Against", "For", "Abstain", "Fractional"];
+const DEFAULT_BATCH_SIZE = 2000;
+// Blocks this close to the head can still be reorganized away, so they wait for a later run
+const DEFAULT_CONFIRMATIONS = 5;
+
+/**
+ * Empty store; records are keyed by `txHash:logIndex` so re-scanning a range is harmless
+ */
+function createStore() {
+  return {
+    proposals: {},
+    votes: {},
+    delegations: {},
+    votingPower: {}
+  };
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write through a temporary file so an interrupted run never leaves half a file behind
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function loadStore(file) {
+  return readJson(file, createStore());
+}
+
+function saveStore(file, store) {
+  writeJson(file, store);
+}
+
+/**
+ * Last block fully indexed, or `null` when nothing has been indexed yet
+ */
+function loadCheckpoint(file) {
+  return readJson(file, { lastBlock: null }).lastBlock;
+}
+
+function saveCheckpoint(file, lastBlock) {
+  writeJson(file, { lastBlock, updatedAt: new Date().toISOString() });
+}
+
+function proposalRecord(store, proposalId) {
+  const record = store.proposals[proposalId];
+  if (!record) {
+    throw new Error(`Event for proposal ${proposalId} seen before its ProposalCreated log`);
+  }
+  return record;
+}
+
+/**
+ * Fold one parsed governance log into the store
+ */
+function applyEvent(store, event, log) {
+  const key = `${log.transactionHash}:${log.index}`;
+  const meta = { blockNumber: log.blockNumber, logIndex: log.index, transactionHash: log.transactionHash };
+  const args = event.args;
+
+  switch (event.name) {
+    case "ProposalCreated":
+      store.proposals[args.proposalId.toString()] = {
+        id: args.proposalId.toString(),
+        proposer: args.proposer,
+        title: args.title,
+        description: args.description,
+        startTime: Number(args.startTime),
+        endTime: Number(args.endTime),
+        status: "Created",
+        eta: null,
+        createdAt: meta,
+        closedAt: null
+      };
+      break;
+    case "VoteCast":
+      store.votes[key] = {
+        proposalId: args.proposalId.toString(),
+        voter: args.voter,
+        support: SUPPORT_LABELS[Number(args.support)],
+        weight: args.weight.toString(),
+        reason: args.reason,
+        retracted: false,
+        ...meta
+      };
+      break;
+    case "VoteCastFractional": {
+      // Emitted right after the split's VoteCast in the same transaction
+      const voteKey = `${log.transactionHash}:${log.index - 1}`;
+      Object.assign(store.votes[voteKey], {
+        forWeight: args.forWeight.toString(),
+        againstWeight: args.againstWeight.toString(),
+        abstainWeight: args.abstainWeight.toString()
+      });
+      break;
+    }
+    case "VoteChanged":
+      // Only ballots logged before this change; a re-cast follows it in the same transaction
+      for (const vote of Object.values(store.votes)) {
+        const earlier = vote.blockNumber < log.blockNumber ||
+          (vote.blockNumber === log.blockNumber && vote.logIndex < log.index);
+        if (vote.proposalId === args.proposalId.toString() && vote.voter === args.voter && earlier) {
+          vote.retracted = true;
+        }
+      }
+      break;
+    case "ProposalQueued":
+      Object.assign(proposalRecord(store, args.proposalId.toString()), { status: "Queued", eta: Number(args.eta) });
+      break;
+    case "ProposalExecuted":
+      Object.assign(proposalRecord(store, args.proposalId.toString()), { status: "Executed", closedAt: meta });
+      break;
+    case "ProposalCancelled":
+    case "ProposalCancelledBelowThreshold":
+      Object.assign(proposalRecord(store, args.proposalId.toString()), { status: "Cancelled", closedAt: meta });
+      break;
+    case "ProposalVetoed":
+      Object.assign(proposalRecord(store, args.proposalId.toString()), {
+        status: "Vetoed",
+        vetoReason: args.reason,
+        closedAt: meta
+      });
+      break;
+    case "DelegationShareUpdated":
+      // One record per delegatee of a split, so delegateMulti history is complete; share 0 removes a delegatee
+      store.delegations[key] = {
+        delegator: args.delegator,
+        delegatee: args.delegatee,
+        shareBps: Number(args.shareBps),
+        ...meta
+      };
+      break;
+    case "VotingPowerUpdated":
+      store.votingPower[key] = {
+        account: args.user,
+        oldPower: args.oldPower.toString(),
+        newPower: args.newPower.toString(),
+        ...meta
+      };
+      break;
+    default:
+      // Parameter, allowlist and role events are not part of the history. DelegateChanged only names
+      // the first delegatee of a split; the share records above already carry all of them.
+      break;
+  }
+}
+
+/**
+ * Scan governance logs from `fromBlock` to `toBlock` in batches, applying them to `store`.
+ * `onBatch(lastBlock)` runs after each batch so callers can persist progress.
+ */
+async function indexEvents(governance, { store, fromBlock, toBlock, batchSize = DEFAULT_BATCH_SIZE, onBatch }) {
+  const provider = governance.runner.provider;
+  const address = await governance.getAddress();
+
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address, fromBlock: start, toBlock: end });
+
+    for (const log of logs) {
+      const event = governance.interface.parseLog(log);
+      if (event) {
+        applyEvent(store, event, log);
+      }
+    }
+    if (onBatch) {
+      await onBatch(end);
+    }
+  }
+  return store;
+}
+
+/**
+ * Index from the checkpoint (or `startBlock` on a first run) up to `confirmations` blocks
+ * behind the chain head, saving the store and then the checkpoint after every batch
+ */
+async function runIndexer(governance, {
+  storeFile,
+  checkpointFile,
+  startBlock = 0,
+  batchSize,
+  confirmations = DEFAULT_CONFIRMATIONS
+}) {
+  const store = loadStore(storeFile);
+  const lastBlock = loadCheckpoint(checkpointFile);
+  const fromBlock = lastBlock === null ? startBlock : lastBlock + 1;
+  const toBlock = (await governance.runner.provider.getBlockNumber()) - confirmations;
+
+  await indexEvents(governance, {
+    store,
+    fromBlock,
+    toBlock,
+    batchSize,
+    onBatch: (end) => {
+      saveStore(storeFile, store);
+      saveCheckpoint(checkpointFile, end);
+    }
+  });
+
+  return { store, fromBlock, toBlock };
+}
+
+/**
+ * Votes cast on a proposal, in chain order
+ */
+function proposalVotes(store, proposalId) {
+  return Object.values(store.votes)
+    .filter((vote) => vote.proposalId === proposalId.toString())
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report for one proposal: its record and votes as JSON, or one CSV row per vote
+ */
+function exportProposal(store, proposalId, format = "json") {
+  const proposal = proposalRecord(store, proposalId.toString());
+  const votes = proposalVotes(store, proposalId);
+
+  if (format === "json") {
+    return JSON.stringify({ proposal, votes }, null, 2);
+  }
+  if (format !== "csv") {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+
+  const columns = ["proposalId", "voter", "support", "weight", "forWeight", "againstWeight", "abstainWeight", "reason", "retracted", "blockNumber", "transactionHash"];
+  const rows = votes.map((vote) => columns.map((column) => csvField(vote[column])).join(","));
+  return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Write a report per proposal into `dir`, returning the written paths
+ */
+function exportAll(store, dir, format = "json") {
+  fs.mkdirSync(dir, { recursive: true });
+  return Object.keys(store.proposals).map((proposalId) => {
+    const file = path.join(dir, `proposal-${proposalId}.${format}`);
+    fs.writeFileSync(file, exportProposal(store, proposalId, format));
+    return file;
+  });
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_CONFIRMATIONS,
+  createStore,
+  loadStore,
+  saveStore,
+  loadCheckpoint,
+  saveCheckpoint,
+  applyEvent,
+  indexEvents,
+  runIndexer,
+  proposalVotes,
+  exportProposal,
+  exportAll
+};
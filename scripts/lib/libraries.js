@@ -0,0 +1,32 @@
+// Linked libraries Governance is compiled against, in deployment order
+const GOVERNANCE_LIBRARIES = ["DelegationLib", "ProposalActionLib", "ProposalLib"];
+
+/**
+ * Deploy the libraries Governance links against.
+ * Returns a `{ name: address }` map for getContractFactory's `libraries` option.
+ */
+async function deployGovernanceLibraries(ethers) {
+  const libraries = {};
+  for (const name of GOVERNANCE_LIBRARIES) {
+    const Library = await ethers.getContractFactory(name);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * Get a Governance factory linked against already deployed libraries,
+ * deploying fresh ones when no addresses are given
+ */
+async function getGovernanceFactory(ethers, libraries) {
+  const linked = libraries || await deployGovernanceLibraries(ethers);
+  return ethers.getContractFactory("Governance", { libraries: linked });
+}
+
+module.exports = {
+  GOVERNANCE_LIBRARIES,
+  deployGovernanceLibraries,
+  getGovernanceFactory
+};
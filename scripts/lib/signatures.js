@@ -0,0 +1,138 @@
+// EIP-712 type definitions matching the typehashes in Governance.sol
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+const EXTENDED_BALLOT_TYPES = {
+  ExtendedBallot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "voter", type: "address" },
+    { name: "reason", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+const DELEGATION_TYPES = {
+  Delegation: [
+    { name: "delegator", type: "address" },
+    { name: "delegatee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+const DEFAULT_VALIDITY_SECONDS = 60 * 60; // 1 hour
+
+/**
+ * Read the EIP-712 domain from the deployed governance contract
+ */
+async function getDomain(governance) {
+  const domain = await governance.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+// Expiry is measured from chain time, which can drift from the local clock on test networks
+async function defaultExpiry(signer) {
+  const block = await signer.provider.getBlock("latest");
+  return BigInt(block.timestamp + DEFAULT_VALIDITY_SECONDS);
+}
+
+/**
+ * Sign a ballot for a relayer to submit.
+ * `voter` defaults to the signer; pass a smart wallet address to sign on its behalf (ERC-1271).
+ * Including a `reason` produces an ExtendedBallot for castVoteWithReasonBySig.
+ */
+async function signVote(signer, governance, { proposalId, support, reason, voter, expiry }) {
+  const voterAddress = voter || await signer.getAddress();
+  const nonce = await governance.nonces(voterAddress);
+  const message = {
+    proposalId: BigInt(proposalId),
+    support: Number(support),
+    voter: voterAddress,
+    nonce,
+    expiry: expiry === undefined ? await defaultExpiry(signer) : BigInt(expiry)
+  };
+
+  const withReason = reason !== undefined;
+  if (withReason) {
+    message.reason = reason;
+  }
+
+  const types = withReason ? EXTENDED_BALLOT_TYPES : BALLOT_TYPES;
+  const signature = await signer.signTypedData(await getDomain(governance), types, message);
+
+  return toPayload({ ...message, signature });
+}
+
+/**
+ * Sign a delegation for a relayer to submit.
+ * `delegator` defaults to the signer; pass a smart wallet address to sign on its behalf (ERC-1271).
+ */
+async function signDelegation(signer, governance, { delegatee, delegator, expiry }) {
+  const delegatorAddress = delegator || await signer.getAddress();
+  const nonce = await governance.nonces(delegatorAddress);
+  const message = {
+    delegator: delegatorAddress,
+    delegatee,
+    nonce,
+    expiry: expiry === undefined ? await defaultExpiry(signer) : BigInt(expiry)
+  };
+
+  const signature = await signer.signTypedData(await getDomain(governance), DELEGATION_TYPES, message);
+
+  return toPayload({ ...message, signature });
+}
+
+/**
+ * Submit a signed ballot; `governance` must be connected to the relayer's signer
+ */
+async function relayVote(governance, payload) {
+  if (payload.reason !== undefined) {
+    return governance.castVoteWithReasonBySig(
+      payload.proposalId, payload.support, payload.voter, payload.reason, payload.expiry, payload.signature
+    );
+  }
+  return governance.castVoteBySig(
+    payload.proposalId, payload.support, payload.voter, payload.expiry, payload.signature
+  );
+}
+
+/**
+ * Submit a signed delegation; `governance` must be connected to the relayer's signer
+ */
+async function relayDelegation(governance, payload) {
+  return governance.delegateBySig(payload.delegator, payload.delegatee, payload.expiry, payload.signature);
+}
+
+// Payloads carry bigints as decimal strings so they survive JSON transport to a relayer
+function toPayload(message) {
+  const payload = {};
+  for (const [key, value] of Object.entries(message)) {
+    payload[key] = typeof value === "bigint" ? value.toString() : value;
+  }
+  return payload;
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  EXTENDED_BALLOT_TYPES,
+  DELEGATION_TYPES,
+  getDomain,
+  signVote,
+  signDelegation,
+  relayVote,
+  relayDelegation
+};
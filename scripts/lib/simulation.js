@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+
+const EXECUTION_MODES = ["Atomic", "BestEffort"];
+const ERROR_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+const PANIC_SELECTOR = ethers.id("Panic(uint256)").slice(0, 10);
+
+/**
+ * Build the calldata governance sends for an action, mirroring ProposalActionLib.callData
+ */
+function encodeActionCallData(action) {
+  if (!action.signature) {
+    return action.data;
+  }
+  return ethers.concat([ethers.id(action.signature).slice(0, 10), action.data]);
+}
+
+/**
+ * Turn raw revert data into a readable reason where possible
+ */
+function decodeRevertReason(returnData) {
+  if (!returnData || returnData === "0x") {
+    return "reverted without data";
+  }
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const payload = ethers.dataSlice(returnData, 4);
+  if (returnData.startsWith(ERROR_SELECTOR)) {
+    return coder.decode(["string"], payload)[0];
+  }
+  if (returnData.startsWith(PANIC_SELECTOR)) {
+    return `panic 0x${coder.decode(["uint256"], payload)[0].toString(16)}`;
+  }
+  return `custom error ${returnData.slice(0, 10)}`;
+}
+
+// Revert data sits in different places depending on the provider that raised the error
+function revertDataOf(error) {
+  const data = error.data ?? error.error?.data ?? error.info?.error?.data;
+  return typeof data === "string" ? data : data?.data ?? "0x";
+}
+
+/**
+ * Preview a proposal's actions against the current chain state without changing it.
+ * Each action is static-called from the governance address, then applied so later actions
+ * see its effects, exactly as executeProposal would run them. Atomic proposals stop at
+ * the first failure. The chain is reverted to its prior state afterwards.
+ *
+ * Requires a Hardhat node (typically `npx hardhat node --fork <rpc>`) for impersonation and snapshots.
+ */
+async function simulateProposal(governance, proposalId) {
+  const provider = governance.runner.provider;
+  const governanceAddress = await governance.getAddress();
+  const actions = await governance.getProposalActions(proposalId);
+  const details = await governance.getProposalDetails(proposalId);
+  const mode = EXECUTION_MODES[Number(details.executionMode)];
+
+  const snapshot = await provider.send("evm_snapshot", []);
+  await provider.send("hardhat_impersonateAccount", [governanceAddress]);
+
+  const results = [];
+  try {
+    const governanceSigner = await provider.getSigner(governanceAddress);
+
+    for (let index = 0; index < actions.length; index++) {
+      const action = actions[index];
+      const tx = { from: governanceAddress, to: action.target, value: action.value, data: encodeActionCallData(action) };
+
+      let success = true;
+      let returnData;
+      try {
+        returnData = await provider.call(tx);
+      } catch (error) {
+        success = false;
+        returnData = revertDataOf(error);
+      }
+
+      results.push({
+        index,
+        target: action.target,
+        signature: action.signature,
+        success,
+        returnData,
+        reason: success ? "" : decodeRevertReason(returnData)
+      });
+
+      if (!success && mode === "Atomic") {
+        break;
+      }
+      if (success) {
+        // Zero gas price keeps the governance ETH balance exact for the actions that follow
+        await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+        await (await governanceSigner.sendTransaction({ ...tx, gasPrice: 0 })).wait();
+      }
+    }
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [governanceAddress]);
+    await provider.send("evm_revert", [snapshot]);
+  }
+
+  return {
+    proposalId: BigInt(proposalId),
+    mode,
+    succeeds: mode === "BestEffort" || results.every((result) => result.success),
+    results
+  };
+}
+
+module.exports = {
+  EXECUTION_MODES,
+  encodeActionCallData,
+  decodeRevertReason,
+  revertDataOf,
+  simulateProposal
+};
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  assertStorageUpgradeSafe,
+  concatRunData,
+  getContractVersion,
+  getStorageLayout,
+  solcInputOutputDecoder,
+  validate
+} = require("@openzeppelin/upgrades-core");
+const { getGovernanceFactory } = require("./libraries");
+
+const GOVERNANCE_CONTRACT = "contracts/Governance.sol:Governance";
+
+// Governance calls its linked libraries, which the upgrades plugin cannot validate on its own.
+// None of them selfdestruct or delegatecall, so linking them is safe.
+const UPGRADE_OPTIONS = { kind: "transparent", unsafeAllow: ["external-library-linking"] };
+
+// Storage layout of the latest released implementation; every upgrade must stay compatible with it
+const STORAGE_LAYOUT_FILE = path.join(__dirname, "../../storage-layout/Governance.json");
+
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable"
+];
+
+/**
+ * Deploy Governance behind a transparent proxy and hand the proxy's ProxyAdmin to the
+ * governance proxy itself, so that only executed proposals can upgrade it.
+ * Returns the proxy attached to the Governance ABI.
+ */
+async function deployGovernanceProxy(hre, initializerArgs, libraries) {
+  const Governance = await getGovernanceFactory(hre.ethers, libraries);
+  const governance = await hre.upgrades.deployProxy(Governance, initializerArgs, UPGRADE_OPTIONS);
+  await governance.waitForDeployment();
+
+  const proxyAddress = await governance.getAddress();
+  await hre.upgrades.admin.transferProxyAdminOwnership(proxyAddress, proxyAddress, undefined, { silent: true });
+  return governance;
+}
+
+async function getProxyAdmin(hre, proxyAddress) {
+  const adminAddress = await hre.upgrades.erc1967.getAdminAddress(proxyAddress);
+  return hre.ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress);
+}
+
+/**
+ * Proposal action that points the proxy at a new implementation, in the form `gov:propose` reads.
+ * `migrationData` is calldata the proxy runs against the new implementation, such as a reinitializer call.
+ */
+async function upgradeAction(hre, proxyAddress, implementationAddress, migrationData = "0x") {
+  return {
+    target: await hre.upgrades.erc1967.getAdminAddress(proxyAddress),
+    value: "0",
+    signature: "upgradeAndCall(address,address,bytes)",
+    args: [proxyAddress, implementationAddress, migrationData]
+  };
+}
+
+/**
+ * Storage layout of the compiled Governance, extracted from its build info the same way
+ * the upgrades plugin does before it deploys an implementation
+ */
+async function governanceStorageLayout(hre) {
+  const { input, output, solcVersion } = await hre.artifacts.getBuildInfo(GOVERNANCE_CONTRACT);
+  const runData = validate(output, solcInputOutputDecoder(input, output), solcVersion, input);
+  return getStorageLayout(concatRunData(runData), getContractVersion(runData, GOVERNANCE_CONTRACT));
+}
+
+/**
+ * Move `pendingImplementation` into `implementations` once the proxy points at it, that is after
+ * the upgrade proposal executed. Returns whether the deployment record changed.
+ */
+async function recordExecutedUpgrade(hre, deploymentInfo) {
+  const pending = deploymentInfo.pendingImplementation;
+  if (!pending) {
+    return false;
+  }
+  const live = await hre.upgrades.erc1967.getImplementationAddress(deploymentInfo.contractAddress);
+  if (live.toLowerCase() !== pending.address.toLowerCase()) {
+    return false;
+  }
+
+  deploymentInfo.implementations = [...(deploymentInfo.implementations || []), pending];
+  deploymentInfo.implementationAddress = pending.address;
+  delete deploymentInfo.pendingImplementation;
+  return true;
+}
+
+function loadStorageLayout(file = STORAGE_LAYOUT_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveStorageLayout(layout, file = STORAGE_LAYOUT_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(layout, null, 2) + "\n");
+}
+
+/**
+ * Throw a report of every moved, retyped or removed variable unless `updated`
+ * can replace `original` behind the proxy
+ */
+function assertStorageCompatible(original, updated) {
+  assertStorageUpgradeSafe(original, updated);
+}
+
+module.exports = {
+  UPGRADE_OPTIONS,
+  STORAGE_LAYOUT_FILE,
+  deployGovernanceProxy,
+  getProxyAdmin,
+  upgradeAction,
+  governanceStorageLayout,
+  recordExecutedUpgrade,
+  loadStorageLayout,
+  saveStorageLayout,
+  assertStorageCompatible
+};
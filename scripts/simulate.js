@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+const { simulateProposal } = require('./lib/simulation');
+const { loadDeployment } = require('./lib/deployments');
+
+// Preview a proposal's execution on a local fork:
+//   npx hardhat node --fork $BASE_MAINNET_RPC_URL
+//   PROPOSAL_ID=3 DEPLOYMENT_CHAIN_ID=8453 npx hardhat run scripts/simulate.js --network localhost
+// DEPLOYMENT_CHAIN_ID reads the forked chain's deployment instead of the local one.
+async function main() {
+  const proposalId = process.env.PROPOSAL_ID;
+  if (!/^\d+$/.test(proposalId || "")) {
+    throw new Error("PROPOSAL_ID must be set to a proposal ID");
+  }
+
+  const deploymentInfo = await loadDeployment(hre);
+  const governance = await hre.ethers.getContractAt("Governance", deploymentInfo.contractAddress);
+
+  console.log("🔍 Simulating proposal", proposalId, "on", hre.network.name);
+  const simulation = await simulateProposal(governance, proposalId);
+
+  console.log("⚙️  Execution Mode:", simulation.mode);
+  console.table(simulation.results.map((result) => ({
+    index: result.index,
+    target: result.target,
+    signature: result.signature || "(raw calldata)",
+    success: result.success,
+    reason: result.reason
+  })));
+
+  if (simulation.results.length < (await governance.getProposalActions(proposalId)).length) {
+    console.log("⏹️  Remaining actions would not run: the atomic execution reverts at the first failure");
+  }
+  console.log(simulation.succeeds ? "✅ Execution would succeed" : "❌ Execution would revert");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
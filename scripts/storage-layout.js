@@ -0,0 +1,17 @@
+const hre = require("hardhat");
+const { STORAGE_LAYOUT_FILE, governanceStorageLayout, saveStorageLayout } = require("./lib/upgrades");
+
+// Record the compiled Governance storage layout as the baseline upgrades are checked against.
+// Run this once an upgrade has been executed on mainnet, then commit the result.
+async function main() {
+  await hre.run("compile");
+  saveStorageLayout(await governanceStorageLayout(hre));
+  console.log("✅ Storage layout saved to", STORAGE_LAYOUT_FILE);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Saving the storage layout failed:", error);
+    process.exit(1);
+  });
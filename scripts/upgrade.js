@@ -0,0 +1,76 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const { deployGovernanceLibraries, getGovernanceFactory } = require('./lib/libraries');
+const {
+  UPGRADE_OPTIONS,
+  upgradeAction,
+  governanceStorageLayout,
+  recordExecutedUpgrade,
+  loadStorageLayout,
+  assertStorageCompatible
+} = require('./lib/upgrades');
+const { loadDeployment, recordDeployment } = require('./lib/deployments');
+
+// Deploys a new Governance implementation and writes the proposal that switches the proxy to it.
+// The upgrade itself only happens once that proposal is executed:
+//   npx hardhat run scripts/upgrade.js --network base
+//   npx hardhat gov:propose --file upgrade-proposal.json --network base --send
+const PROPOSAL_FILE = "upgrade-proposal.json";
+
+async function main() {
+  const deploymentInfo = await loadDeployment(hre);
+  const proxyAddress = deploymentInfo.contractAddress;
+
+  console.log(`🚀 Preparing a Governance upgrade on ${hre.network.name}...\n`);
+  console.log("📋 Proxy:", proxyAddress);
+  console.log("📋 Current implementation:", await hre.upgrades.erc1967.getImplementationAddress(proxyAddress));
+
+  // The previous run's implementation only joins the history once its proposal has executed
+  if (await recordExecutedUpgrade(hre, deploymentInfo)) {
+    recordDeployment(deploymentInfo);
+    console.log("✅ Recorded the executed upgrade to", deploymentInfo.implementationAddress);
+  }
+
+  // Fails before anything is deployed if a released variable moved, changed type or disappeared
+  console.log("⏳ Checking storage layout against storage-layout/Governance.json...");
+  assertStorageCompatible(loadStorageLayout(), await governanceStorageLayout(hre));
+  console.log("✅ Storage layout compatible");
+
+  console.log("⏳ Deploying linked libraries...");
+  const libraries = await deployGovernanceLibraries(hre.ethers);
+
+  // prepareUpgrade repeats the check against the layout the plugin recorded for the live implementation
+  console.log("⏳ Deploying new implementation...");
+  const Governance = await getGovernanceFactory(hre.ethers, libraries);
+  const implementationAddress = await hre.upgrades.prepareUpgrade(proxyAddress, Governance, UPGRADE_OPTIONS);
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  const migrationData = process.env.UPGRADE_CALLDATA || "0x";
+  const proposal = {
+    title: "Upgrade Governance implementation",
+    description: `Point the governance proxy at ${implementationAddress}.`,
+    executionMode: "atomic",
+    actions: [await upgradeAction(hre, proxyAddress, implementationAddress, migrationData)]
+  };
+  fs.writeFileSync(PROPOSAL_FILE, JSON.stringify(proposal, null, 2));
+
+  // Kept apart from `implementations` until the proposal executes; a newer run replaces it
+  deploymentInfo.pendingImplementation = {
+    address: implementationAddress,
+    libraries: libraries,
+    migrationData: migrationData,
+    timestamp: new Date().toISOString()
+  };
+  const deploymentFile = recordDeployment(deploymentInfo);
+
+  console.log(`\n📄 Upgrade proposal saved to ${PROPOSAL_FILE}; pending implementation recorded in ${deploymentFile}`);
+  console.log("👉 Propose it with: npx hardhat gov:propose --file", PROPOSAL_FILE, "--network", hre.network.name, "--send");
+  console.log("👉 After it executes, run `npm run verify` to record it, then `npm run storage-layout` and commit the new layout\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade preparation failed:", error);
+    process.exit(1);
+  });
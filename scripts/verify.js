@@ -1,33 +1,64 @@
 const hre = require("hardhat");
-const fs = require('fs');
-const path = require('path');
+const { loadDeployment, recordDeployment } = require('./lib/deployments');
+const { recordExecutedUpgrade } = require('./lib/upgrades');
 
 async function main() {
-  const deploymentPath = path.join(__dirname, '../deployment.json');
-
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployment.json not found. Please deploy the contract first.");
+  const deploymentInfo = await loadDeployment(hre);
+  if (await recordExecutedUpgrade(hre, deploymentInfo)) {
+    recordDeployment(deploymentInfo);
+    console.log("✅ Recorded the executed upgrade to", deploymentInfo.implementationAddress);
   }
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-
   console.log("📋 Deployment Info:");
   console.log("   Contract:", deploymentInfo.contractAddress);
-  console.log("   Network:", deploymentInfo.network);
+  console.log("   Implementation:", deploymentInfo.implementationAddress);
+  console.log("   Network:", deploymentInfo.network, `(chainId ${deploymentInfo.chainId})`);
   console.log("   Governance Token:", deploymentInfo.governanceToken);
   console.log("");
 
-  console.log("⏳ Verifying contract on BaseScan...");
+  const libraries = deploymentInfo.libraries || {};
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`⏳ Verifying ${name} on BaseScan...`);
+    await verify(name, { address, constructorArguments: [] });
+  }
 
-  try {
-    await hre.run("verify:verify", {
-      address: deploymentInfo.contractAddress,
-      constructorArguments: [deploymentInfo.governanceToken],
+  // Each implementation links the libraries deployed alongside it. A pending one is verified too,
+  // so voters can read its source before the upgrade proposal executes.
+  const implementations = [...(deploymentInfo.implementations || []), deploymentInfo.pendingImplementation].filter(Boolean);
+  for (const implementation of implementations) {
+    console.log(`⏳ Verifying implementation ${implementation.address} on BaseScan...`);
+    for (const [name, address] of Object.entries(implementation.libraries)) {
+      if (libraries[name] !== address) {
+        await verify(name, { address, constructorArguments: [] });
+      }
+    }
+    await verify("Implementation", {
+      address: implementation.address,
+      constructorArguments: [],
+      libraries: implementation.libraries,
     });
-    console.log("✅ Contract verified successfully!");
+  }
+
+  // The upgrades plugin verifies the proxy and its ProxyAdmin and links the proxy to the implementation ABI
+  console.log("⏳ Verifying proxy on BaseScan...");
+  await verify("Proxy", { address: deploymentInfo.contractAddress });
+
+  if (deploymentInfo.treasuryAddress) {
+    console.log("⏳ Verifying Treasury on BaseScan...");
+    await verify("Treasury", {
+      address: deploymentInfo.treasuryAddress,
+      constructorArguments: deploymentInfo.treasuryConstructorArgs || [deploymentInfo.contractAddress],
+    });
+  }
+}
+
+async function verify(label, args) {
+  try {
+    await hre.run("verify:verify", args);
+    console.log(`✅ ${label} verified successfully!`);
   } catch (error) {
     if (error.message.includes("Already Verified")) {
-      console.log("✅ Contract already verified!");
+      console.log(`✅ ${label} already verified!`);
     } else {
       console.error("❌ Verification failed:", error.message);
       throw error;
@@ -0,0 +1,177 @@
+const { task, types } = require("hardhat/config");
+const { decodeAction, loadProposalFile } = require("../scripts/lib/actions");
+const { decodeRevertReason, revertDataOf } = require("../scripts/lib/simulation");
+const { loadDeployment } = require("../scripts/lib/deployments");
+
+// Governance CLI. Every task that sends a transaction only simulates it unless --send is given:
+//   npx hardhat gov:propose --file proposal.yaml --network base-sepolia
+//   npx hardhat gov:vote --id 3 --support for --reason "LGTM" --send --network base-sepolia
+//   npx hardhat gov:state --id 3 --network base-sepolia
+
+const SUPPORT_VALUES = { against: 0, for: 1, abstain: 2 };
+const STATE_NAMES = ["Pending", "Active", "Cancelled", "Defeated", "QuorumNotMet", "Succeeded", "Queued", "Expired", "Executed", "Vetoed"];
+const EXECUTION_MODE_LABELS = ["Atomic", "BestEffort"];
+
+/**
+ * Attach to Governance at `address`, or at the address recorded for the active network
+ */
+async function getGovernance(hre, address) {
+  if (!address) {
+    address = (await loadDeployment(hre)).contractAddress;
+  }
+  return hre.ethers.getContractAt("Governance", address);
+}
+
+function describeRevert(governance, error) {
+  const data = revertDataOf(error);
+  if (data === "0x") {
+    return error.shortMessage || error.message;
+  }
+  const reason = decodeRevertReason(data);
+  const customError = reason.startsWith("custom error") && governance.interface.parseError(data);
+  return customError ? `${customError.name}(${customError.args.join(", ")})` : reason;
+}
+
+/**
+ * Simulate a call with the signer's context and send it only when `send` is set.
+ * Returns the static call result for dry runs and the receipt for sent transactions.
+ */
+async function submit(governance, method, args, send) {
+  let result;
+  try {
+    result = await governance[method].staticCall(...args);
+  } catch (error) {
+    throw new Error(`${method} would revert: ${describeRevert(governance, error)}`);
+  }
+
+  if (!send) {
+    const gas = await governance[method].estimateGas(...args);
+    console.log(`🧪 Dry run: ${method} would succeed using about ${gas} gas. Pass --send to broadcast it.`);
+    return result;
+  }
+
+  const tx = await governance[method](...args);
+  const receipt = await tx.wait();
+  console.log(`✅ ${method} confirmed in block ${receipt.blockNumber}: ${tx.hash}`);
+  return receipt;
+}
+
+function printActions(actions) {
+  const rows = [];
+  for (const { remote, ...row } of actions.map((action) => decodeAction(action))) {
+    rows.push(row);
+    // Actions a bridge call runs on the destination chain, listed under it
+    for (const remoteRow of remote || []) {
+      rows.push({ ...remoteRow, target: `↳ ${remoteRow.target}` });
+    }
+  }
+  console.table(rows);
+}
+
+task("gov:propose", "Create a proposal from a JSON or YAML actions file")
+  .addParam("file", "Proposal file with title, description, executionMode and actions")
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ file, governance: address, send }, hre) => {
+    const governance = await getGovernance(hre, address);
+    const proposal = loadProposalFile(file);
+
+    console.log("📝", proposal.title);
+    console.log("⚙️  Execution Mode:", EXECUTION_MODE_LABELS[proposal.executionMode]);
+    printActions(proposal.actions);
+
+    const result = await submit(
+      governance,
+      "createProposalWithMode",
+      [proposal.title, proposal.description, proposal.actions, proposal.executionMode],
+      send
+    );
+    if (!send) {
+      console.log("🆔 Would create proposal", result.toString());
+    }
+    return result;
+  });
+
+task("gov:vote", "Vote on a proposal")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addParam("support", "for, against or abstain")
+  .addOptionalParam("reason", "Reason recorded with the vote", "")
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ id, support, reason, governance: address, send }, hre) => {
+    const supportValue = SUPPORT_VALUES[support.toLowerCase()];
+    if (supportValue === undefined) {
+      throw new Error(`Unknown support "${support}"; use for, against or abstain`);
+    }
+    const governance = await getGovernance(hre, address);
+    return submit(governance, "vote", [id, supportValue, reason], send);
+  });
+
+task("gov:delegate", "Delegate the signer's voting power")
+  .addParam("to", "Delegate address")
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ to, governance: address, send }, hre) => {
+    const governance = await getGovernance(hre, address);
+    return submit(governance, "delegate", [to], send);
+  });
+
+task("gov:cancel", "Cancel a proposal")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ id, governance: address, send }, hre) => {
+    const governance = await getGovernance(hre, address);
+    return submit(governance, "cancelProposal", [id], send);
+  });
+
+task("gov:queue", "Queue a succeeded proposal for execution after the execution delay")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ id, governance: address, send }, hre) => {
+    const governance = await getGovernance(hre, address);
+    printActions(await governance.getProposalActions(id));
+    return submit(governance, "queueProposal", [id], send);
+  });
+
+task("gov:execute", "Execute a queued proposal")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .addFlag("send", "Broadcast the transaction instead of simulating it")
+  .setAction(async ({ id, governance: address, send }, hre) => {
+    const governance = await getGovernance(hre, address);
+    printActions(await governance.getProposalActions(id));
+    return submit(governance, "executeProposal", [id], send);
+  });
+
+task("gov:state", "Show a proposal's state, tallies and decoded actions")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("governance", "Governance address (defaults to the network's recorded deployment)")
+  .setAction(async ({ id, governance: address }, hre) => {
+    const governance = await getGovernance(hre, address);
+    const details = await governance.getProposalDetails(id);
+    const { formatEther } = hre.ethers;
+
+    console.log(`📋 Proposal ${id}: ${details.title}`);
+    console.table({
+      state: STATE_NAMES[Number(details.state)],
+      proposer: details.proposer,
+      executionMode: EXECUTION_MODE_LABELS[Number(details.executionMode)],
+      start: new Date(Number(details.startTime) * 1000).toISOString(),
+      end: new Date(Number(details.endTime) * 1000).toISOString(),
+      eta: details.eta === 0n ? "-" : new Date(Number(details.eta) * 1000).toISOString(),
+      for: formatEther(details.forVotes),
+      against: formatEther(details.againstVotes),
+      abstain: formatEther(details.abstainVotes),
+      quorum: `${formatEther(details.quorumVotes)} (${details.quorumReached ? "reached" : "not reached"})`
+    });
+    printActions(await governance.getProposalActions(id));
+
+    return STATE_NAMES[Number(details.state)];
+  });
+
+module.exports = {
+  SUPPORT_VALUES,
+  STATE_NAMES
+};
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployGovernanceWithToken, executeThroughProposal } = require("./helpers/governance");
+const { encodeAction, decodeAction, encodeRemotePayload } = require("../scripts/lib/actions");
+
+describe("CrossChain", function () {
+    const GOVERNANCE_CHAIN_ID = 8453;
+    const REMOTE_CHAIN_ID = 10;
+
+    // Both chains live on the Hardhat network: MockBridge reports GOVERNANCE_CHAIN_ID as every message's origin
+    async function deployCrossChainFixture() {
+        const [owner, holder, recipient, other] = await ethers.getSigners();
+
+        const { token, governance } = await deployGovernanceWithToken(hre);
+        const governanceAddress = await governance.getAddress();
+
+        await token.mint(holder.address, ethers.parseEther("50000"));
+        await governance.connect(holder).delegate(owner.address);
+
+        const MockBridge = await ethers.getContractFactory("MockBridge");
+        const bridge = await MockBridge.deploy(GOVERNANCE_CHAIN_ID);
+        const bridgeAddress = await bridge.getAddress();
+
+        const CrossChainExecutor = await ethers.getContractFactory("CrossChainExecutor");
+        const executor = await CrossChainExecutor.deploy(bridgeAddress, GOVERNANCE_CHAIN_ID, governanceAddress);
+        const executorAddress = await executor.getAddress();
+
+        // A treasury on the remote chain, controlled by the executor
+        const Treasury = await ethers.getContractFactory("Treasury");
+        const remoteTreasury = await Treasury.deploy(executorAddress);
+        await owner.sendTransaction({ to: await remoteTreasury.getAddress(), value: ethers.parseEther("10") });
+
+        return { governance, bridge, executor, remoteTreasury, owner, recipient, other, governanceAddress, bridgeAddress, executorAddress };
+    }
+
+    function remoteTransfer(fixture, amount, fee = 0n) {
+        return {
+            bridge: fixture.bridgeAddress,
+            chainId: REMOTE_CHAIN_ID,
+            executor: fixture.executorAddress,
+            value: fee,
+            actions: [{
+                target: fixture.remoteTreasury.target,
+                signature: "transferETH(address,uint256)",
+                args: [fixture.recipient.address, amount]
+            }]
+        };
+    }
+
+    // Runs `actions` through a full proposal and returns the message ID the bridge assigned
+    async function sendThroughProposal(fixture, actions) {
+        const { governance, bridge } = fixture;
+        const { receipt } = await executeThroughProposal(governance, actions.map(encodeAction), { title: "Remote action" });
+        const sent = receipt.logs
+            .filter((log) => log.address === fixture.bridgeAddress)
+            .map((log) => bridge.interface.parseLog(log))
+            .find((log) => log.name === "MessageSent");
+        return sent.args.messageId;
+    }
+
+    describe("Deployment", function () {
+        it("Should set the bridge and governance origin", async function () {
+            const { executor, bridgeAddress, governanceAddress } = await loadFixture(deployCrossChainFixture);
+
+            expect(await executor.bridge()).to.equal(bridgeAddress);
+            expect(await executor.governanceChainId()).to.equal(GOVERNANCE_CHAIN_ID);
+            expect(await executor.governance()).to.equal(governanceAddress);
+        });
+
+        it("Should revert with invalid constructor arguments", async function () {
+            const { bridgeAddress, governanceAddress } = await loadFixture(deployCrossChainFixture);
+            const CrossChainExecutor = await ethers.getContractFactory("CrossChainExecutor");
+
+            await expect(CrossChainExecutor.deploy(ethers.ZeroAddress, GOVERNANCE_CHAIN_ID, governanceAddress))
+                .to.be.revertedWith("Invalid bridge address");
+            await expect(CrossChainExecutor.deploy(bridgeAddress, 0, governanceAddress))
+                .to.be.revertedWith("Invalid chain ID");
+            await expect(CrossChainExecutor.deploy(bridgeAddress, GOVERNANCE_CHAIN_ID, ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid governance address");
+        });
+    });
+
+    describe("Round Trip", function () {
+        it("Should run remote actions from an executed proposal", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, executor, remoteTreasury, recipient } = fixture;
+            const amount = ethers.parseEther("1");
+
+            const messageId = await sendThroughProposal(fixture, [remoteTransfer(fixture, amount)]);
+            const message = await bridge.messages(messageId);
+            expect(message.sender).to.equal(fixture.governanceAddress);
+            expect(message.receiver).to.equal(fixture.executorAddress);
+            expect(message.destinationChainId).to.equal(REMOTE_CHAIN_ID);
+
+            await expect(bridge.deliver(messageId))
+                .to.emit(executor, "MessageExecuted").withArgs(messageId, 1)
+                .and.to.emit(remoteTreasury, "ETHTransferred").withArgs(recipient.address, amount);
+            expect(await executor.executedMessages(messageId)).to.be.true;
+        });
+
+        it("Should pay the bridge fee from the governance balance", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, owner, governanceAddress, bridgeAddress } = fixture;
+            const fee = ethers.parseEther("0.01");
+
+            await bridge.setFee(fee);
+            await owner.sendTransaction({ to: governanceAddress, value: fee });
+            expect(await bridge.quoteFee(REMOTE_CHAIN_ID, fixture.executorAddress, "0x")).to.equal(fee);
+
+            await sendThroughProposal(fixture, [remoteTransfer(fixture, ethers.parseEther("1"), fee)]);
+            expect(await ethers.provider.getBalance(bridgeAddress)).to.equal(fee);
+        });
+
+        it("Should not execute a message twice", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge } = fixture;
+
+            const messageId = await sendThroughProposal(fixture, [remoteTransfer(fixture, ethers.parseEther("1"))]);
+            await bridge.deliver(messageId);
+
+            await expect(bridge.deliver(messageId)).to.be.revertedWith("Message already executed");
+        });
+
+        it("Should leave a failed message executable once the cause is fixed", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, executor, remoteTreasury, owner } = fixture;
+
+            const messageId = await sendThroughProposal(fixture, [remoteTransfer(fixture, ethers.parseEther("15"))]);
+            const reason = remoteTreasury.interface.encodeErrorResult("Error", ["Insufficient available balance"]);
+            await expect(bridge.deliver(messageId))
+                .to.be.revertedWithCustomError(executor, "ActionExecutionFailed")
+                .withArgs(0, reason);
+            expect(await executor.executedMessages(messageId)).to.be.false;
+
+            await owner.sendTransaction({ to: await remoteTreasury.getAddress(), value: ethers.parseEther("5") });
+            await expect(bridge.deliver(messageId)).to.emit(executor, "MessageExecuted");
+        });
+    });
+
+    describe("Message Authentication", function () {
+        function payloadFor(fixture) {
+            const { actions } = remoteTransfer(fixture, ethers.parseEther("1"));
+            return encodeRemotePayload(actions.map(encodeAction));
+        }
+
+        it("Should only accept messages from the bridge", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { executor, other, governanceAddress } = fixture;
+
+            await expect(executor.connect(other).receiveMessage(GOVERNANCE_CHAIN_ID, governanceAddress, ethers.ZeroHash, payloadFor(fixture)))
+                .to.be.revertedWith("Only bridge");
+        });
+
+        it("Should only accept messages sent by governance on its chain", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, executorAddress, governanceAddress, other } = fixture;
+            const payload = payloadFor(fixture);
+
+            await expect(bridge.deliverForged(executorAddress, GOVERNANCE_CHAIN_ID, other.address, ethers.ZeroHash, payload))
+                .to.be.revertedWith("Unknown sender");
+            await expect(bridge.deliverForged(executorAddress, REMOTE_CHAIN_ID, governanceAddress, ethers.ZeroHash, payload))
+                .to.be.revertedWith("Unknown sender");
+
+            // A message anyone else sends through the bridge is rejected on delivery
+            await bridge.connect(other).sendMessage(REMOTE_CHAIN_ID, executorAddress, payload);
+            const messageId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+                ["address", "uint256", "uint256"],
+                [fixture.bridgeAddress, GOVERNANCE_CHAIN_ID, 1]
+            ));
+            await expect(bridge.deliver(messageId)).to.be.revertedWith("Unknown sender");
+        });
+
+        it("Should reject messages without actions", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, executorAddress, governanceAddress } = fixture;
+
+            await expect(bridge.deliverForged(executorAddress, GOVERNANCE_CHAIN_ID, governanceAddress, ethers.ZeroHash, encodeRemotePayload([])))
+                .to.be.revertedWith("No actions");
+        });
+
+        it("Should only change the bridge through a governance message", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const { bridge, executor, other, executorAddress } = fixture;
+
+            await expect(executor.setBridge(other.address)).to.be.revertedWith("Only executor");
+
+            const messageId = await sendThroughProposal(fixture, [{
+                bridge: fixture.bridgeAddress,
+                chainId: REMOTE_CHAIN_ID,
+                executor: executorAddress,
+                actions: [{ target: executorAddress, signature: "setBridge(address)", args: [other.address] }]
+            }]);
+            await expect(bridge.deliver(messageId))
+                .to.emit(executor, "BridgeUpdated")
+                .withArgs(fixture.bridgeAddress, other.address);
+            expect(await executor.bridge()).to.equal(other.address);
+        });
+    });
+
+    describe("Actions", function () {
+        it("Should encode remote actions as a bridge call and decode them back", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+            const encoded = encodeAction(remoteTransfer(fixture, ethers.parseEther("1")));
+
+            expect(encoded.target).to.equal(fixture.bridgeAddress);
+            expect(encoded.signature).to.equal("sendMessage(uint256,address,bytes)");
+
+            const decoded = decodeAction(encoded);
+            expect(decoded.call).to.equal(`sendMessage(chainId=${REMOTE_CHAIN_ID}, executor=${fixture.executorAddress})`);
+            expect(decoded.remote).to.have.lengthOf(1);
+            expect(decoded.remote[0].call).to.equal(`transferETH(address=${fixture.recipient.address}, uint256=${ethers.parseEther("1")})`);
+        });
+
+        it("Should reject malformed remote actions", async function () {
+            const fixture = await loadFixture(deployCrossChainFixture);
+
+            expect(() => encodeAction({ ...remoteTransfer(fixture, 1n), executor: "0x1234" }))
+                .to.throw("remote actions need bridge and executor addresses");
+            expect(() => encodeAction({ ...remoteTransfer(fixture, 1n), chainId: "base" }))
+                .to.throw('invalid chainId "base"');
+            expect(() => encodeAction({ ...remoteTransfer(fixture, 1n), actions: [] }))
+                .to.throw('non-empty "actions" list');
+        });
+    });
+});
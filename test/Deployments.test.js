@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    deploymentPath,
+    readDeployment,
+    recordDeployment,
+    loadDeployment,
+    loadProfile,
+    artifactHashes,
+    findMatchingDeployment
+} = require("../scripts/lib/deployments");
+
+describe("Deployments", function () {
+    const HARDHAT_CHAIN_ID = 31337;
+
+    let registryDir;
+
+    beforeEach(function () {
+        registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(registryDir, { recursive: true, force: true });
+    });
+
+    describe("Registry", function () {
+        it("Should keep one record per chain", async function () {
+            recordDeployment({ chainId: 8453, contractAddress: "0x01" }, registryDir);
+            recordDeployment({ chainId: 84532, contractAddress: "0x02" }, registryDir);
+
+            expect(readDeployment(8453, registryDir).contractAddress).to.equal("0x01");
+            expect(readDeployment(84532, registryDir).contractAddress).to.equal("0x02");
+            expect(fs.existsSync(deploymentPath(8453, registryDir))).to.be.true;
+            expect(readDeployment(1, registryDir)).to.be.null;
+        });
+
+        it("Should keep replaced deployments in previousDeployments", async function () {
+            recordDeployment({ chainId: 8453, contractAddress: "0x01" }, registryDir);
+            recordDeployment({ chainId: 8453, contractAddress: "0x02" }, registryDir);
+            recordDeployment({ chainId: 8453, contractAddress: "0x03" }, registryDir);
+
+            const deployment = readDeployment(8453, registryDir);
+            expect(deployment.contractAddress).to.equal("0x03");
+            expect(deployment.previousDeployments.map((previous) => previous.contractAddress))
+                .to.deep.equal(["0x01", "0x02"]);
+        });
+
+        it("Should update a record in place when the contract is the same", async function () {
+            recordDeployment({ chainId: 8453, contractAddress: "0x01", implementations: ["0xa"] }, registryDir);
+            recordDeployment({ chainId: 8453, contractAddress: "0x01", implementations: ["0xa", "0xb"] }, registryDir);
+
+            const deployment = readDeployment(8453, registryDir);
+            expect(deployment.implementations).to.deep.equal(["0xa", "0xb"]);
+            expect(deployment.previousDeployments).to.be.undefined;
+        });
+
+        it("Should load the deployment of the active network", async function () {
+            await expect(loadDeployment(hre, registryDir)).to.be.rejectedWith("No deployment recorded for hardhat (chainId 31337)");
+
+            recordDeployment({ chainId: HARDHAT_CHAIN_ID, contractAddress: "0x01" }, registryDir);
+            expect((await loadDeployment(hre, registryDir)).contractAddress).to.equal("0x01");
+        });
+
+        it("Should load a forked chain's deployment when DEPLOYMENT_CHAIN_ID is set", async function () {
+            recordDeployment({ chainId: 8453, contractAddress: "0x01" }, registryDir);
+
+            process.env.DEPLOYMENT_CHAIN_ID = "8453";
+            try {
+                expect((await loadDeployment(hre, registryDir)).contractAddress).to.equal("0x01");
+            } finally {
+                delete process.env.DEPLOYMENT_CHAIN_ID;
+            }
+        });
+    });
+
+    describe("Redeploy Detection", function () {
+        async function recordLiveDeployment(fingerprint) {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Governance Token", "GOV");
+            const contractAddress = await token.getAddress();
+            recordDeployment({ chainId: HARDHAT_CHAIN_ID, contractAddress, fingerprint }, registryDir);
+            return contractAddress;
+        }
+
+        it("Should match a live deployment built from the same code and settings", async function () {
+            const fingerprint = { governance: (await artifactHashes(hre, "Governance")).bytecodeHash, initializerArgs: ["1"] };
+            const contractAddress = await recordLiveDeployment(fingerprint);
+
+            const match = await findMatchingDeployment(hre, { ...fingerprint }, registryDir);
+            expect(match.contractAddress).to.equal(contractAddress);
+        });
+
+        it("Should not match when the code or settings changed", async function () {
+            const fingerprint = { governance: (await artifactHashes(hre, "Governance")).bytecodeHash, initializerArgs: ["1"] };
+            await recordLiveDeployment(fingerprint);
+
+            expect(await findMatchingDeployment(hre, { ...fingerprint, initializerArgs: ["2"] }, registryDir)).to.be.null;
+            expect(await findMatchingDeployment(hre, { ...fingerprint, governance: ethers.ZeroHash }, registryDir)).to.be.null;
+        });
+
+        it("Should not match a recorded contract that has no code", async function () {
+            const fingerprint = { initializerArgs: ["1"] };
+            recordDeployment({ chainId: HARDHAT_CHAIN_ID, contractAddress: ethers.Wallet.createRandom().address, fingerprint }, registryDir);
+
+            expect(await findMatchingDeployment(hre, fingerprint, registryDir)).to.be.null;
+        });
+
+        it("Should hash bytecode that still has library placeholders", async function () {
+            const { abiHash, bytecodeHash } = await artifactHashes(hre, "Governance");
+            const artifact = await hre.artifacts.readArtifact("Governance");
+
+            expect(artifact.bytecode).to.match(/__\$[0-9a-fA-F]{34}\$__/);
+            expect(abiHash).to.equal(ethers.id(JSON.stringify(artifact.abi)));
+            expect(bytecodeHash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(bytecodeHash).to.not.equal((await artifactHashes(hre, "Treasury")).bytecodeHash);
+        });
+    });
+
+    describe("Profiles", function () {
+        it("Should load a network's profile and default to none", async function () {
+            fs.writeFileSync(path.join(registryDir, "base-sepolia.json"), JSON.stringify({ VOTING_DELAY: "3600" }));
+
+            expect(loadProfile("base-sepolia", registryDir)).to.deep.equal({ VOTING_DELAY: "3600" });
+            expect(loadProfile("hardhat", registryDir)).to.deep.equal({});
+        });
+
+        it("Should keep the bundled profiles within the contract's bounds", async function () {
+            // MIN_/MAX_ bounds from Governance.sol
+            for (const network of ["base", "base-sepolia"]) {
+                const profile = loadProfile(network);
+                expect(Number(profile.VOTING_DELAY)).to.be.within(60 * 60, 14 * 24 * 60 * 60);
+                expect(Number(profile.VOTING_PERIOD)).to.be.within(24 * 60 * 60, 30 * 24 * 60 * 60);
+                expect(Number(profile.EXECUTION_DELAY)).to.be.within(60 * 60, 30 * 24 * 60 * 60);
+            }
+        });
+    });
+});
@@ -1,25 +1,30 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, mine, loadFixture, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { signVote, signDelegation, relayVote, relayDelegation } = require("../scripts/lib/signatures");
+const { deployGovernanceProxy } = require("../scripts/lib/upgrades");
+const {
+    VOTING_DELAY,
+    VOTING_PERIOD,
+    EXECUTION_DELAY,
+    GRACE_PERIOD,
+    PROPOSAL_THRESHOLD,
+    QUORUM_NUMERATOR,
+    GOVERNANCE_PARAMS,
+    deployGovernanceWithToken,
+    passProposal,
+    executeThroughProposal
+} = require("./helpers/governance");
+const { decodeRevertReason, simulateProposal } = require("../scripts/lib/simulation");
 
 describe("Governance", function () {
-    // Constants matching contract
-    const VOTING_DELAY = 24 * 60 * 60; // 1 day
-    const VOTING_PERIOD = 3 * 24 * 60 * 60; // 3 days
-    const EXECUTION_DELAY = 24 * 60 * 60; // 1 day
-    const PROPOSAL_THRESHOLD = ethers.parseEther("1000");
-    const QUORUM_THRESHOLD = ethers.parseEther("10000");
-
     async function deployGovernanceFixture() {
-        const [owner, proposer, voter1, voter2, voter3, delegate, other] = await ethers.getSigners();
-
-        // Deploy mock governance token
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        const token = await MockERC20.deploy("Governance Token", "GOV");
+        const [owner, proposer, voter1, voter2, voter3, delegate, other, guardian] = await ethers.getSigners();
 
-        // Deploy governance contract
-        const Governance = await ethers.getContractFactory("Governance");
-        const governance = await Governance.deploy(await token.getAddress());
+        // Deploy a mock governance token and governance behind its proxy
+        const { token, governance } = await deployGovernanceWithToken(hre, { guardian: guardian.address });
 
         // Mint tokens to users
         await token.mint(owner.address, ethers.parseEther("50000"));
@@ -28,10 +33,15 @@ describe("Governance", function () {
         await token.mint(voter2.address, ethers.parseEther("4000"));
         await token.mint(voter3.address, ethers.parseEther("2000"));
 
+        // Operational roles go to the deployer, as scripts/deploy.js does by default
+        for (const role of ["WHITELIST_MANAGER_ROLE", "PAUSER_ROLE", "TREASURER_ROLE"]) {
+            await governance.grantRole(await governance[role](), owner.address);
+        }
+
         // Whitelist proposer
         await governance.whitelistAddress(proposer.address);
 
-        return { governance, token, owner, proposer, voter1, voter2, voter3, delegate, other };
+        return { governance, token, owner, proposer, voter1, voter2, voter3, delegate, other, guardian };
     }
 
     async function setupVotingPowerFixture() {
@@ -46,6 +56,51 @@ describe("Governance", function () {
         return result;
     }
 
+    async function createProposalFixture() {
+        const result = await loadFixture(deployGovernanceFixture);
+        const { governance, proposer, voter1, voter2, voter3, delegate } = result;
+
+        // voter3 backs the proposer; voter1 delegates to a separate delegate
+        await governance.connect(voter3).delegate(proposer.address);
+        await governance.connect(voter1).delegate(delegate.address);
+
+        const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+        await governance.connect(proposer).createProposal("Title", "Description", actions);
+        const proposalId = 1;
+
+        return { ...result, proposalId };
+    }
+
+    async function succeededProposalFixture() {
+        const result = await loadFixture(createProposalFixture);
+        const { governance, delegate, proposalId } = result;
+
+        await time.increase(VOTING_DELAY);
+        await governance.connect(delegate).vote(proposalId, 1, "");
+        await time.increase(VOTING_PERIOD);
+
+        return result;
+    }
+
+    async function queuedProposalFixture() {
+        const result = await loadFixture(succeededProposalFixture);
+        await result.governance.queueProposal(result.proposalId);
+        return result;
+    }
+
+    // Creates, passes and queues a proposal, leaving it ready to execute; owner's weight carries the vote
+    async function passDelegatedProposal(governance, owner, proposer, voter2, actions, executionMode = 0) {
+        await governance.connect(owner).delegate(voter2.address);
+        return passProposal(governance, actions, { proposer, voter: voter2, executionMode });
+    }
+
+    // Runs a proposal that calls back into the governance contract through voting and execution
+    async function executeSelfProposal(governance, owner, proposer, voter2, signature, data) {
+        const actions = [{ target: await governance.getAddress(), value: 0, signature, data }];
+        const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+        return governance.executeProposal(proposalId);
+    }
+
     describe("Deployment", function () {
         it("Should set the governance token correctly", async function () {
             const { governance, token } = await loadFixture(deployGovernanceFixture);
@@ -63,8 +118,7 @@ describe("Governance", function () {
         });
 
         it("Should revert with zero address token", async function () {
-            const Governance = await ethers.getContractFactory("Governance");
-            await expect(Governance.deploy(ethers.ZeroAddress))
+            await expect(deployGovernanceProxy(hre, [ethers.ZeroAddress, ...GOVERNANCE_PARAMS, ethers.ZeroAddress]))
                 .to.be.revertedWith("Invalid governance token address");
         });
     });
@@ -96,10 +150,11 @@ describe("Governance", function () {
                 .to.be.revertedWith("Invalid address");
         });
 
-        it("Should revert if non-owner tries to whitelist", async function () {
+        it("Should revert if a non-manager tries to whitelist", async function () {
             const { governance, other } = await loadFixture(deployGovernanceFixture);
             await expect(governance.connect(other).whitelistAddress(other.address))
-                .to.be.revertedWith("Ownable: caller is not the owner");
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount")
+                .withArgs(other.address, await governance.WHITELIST_MANAGER_ROLE());
         });
     });
 
@@ -151,6 +206,355 @@ describe("Governance", function () {
         });
     });
 
+    describe("Proposal Action Validation", function () {
+        function action(target, overrides = {}) {
+            return { target, value: 0, signature: "", data: "0x", ...overrides };
+        }
+
+        it("Should reject malformed signatures at creation", async function () {
+            const { governance, proposer, voter2 } = await loadFixture(createProposalFixture);
+            const actions = [
+                action(voter2.address),
+                action(voter2.address, { signature: "transfer(address,uint256" })
+            ];
+
+            const [valid, index, reason] = await governance.validateProposalActions(actions);
+            expect(valid).to.be.false;
+            expect(index).to.equal(1);
+            expect(reason).to.equal("Malformed signature");
+
+            await expect(governance.connect(proposer).createProposal("Title", "Description", actions))
+                .to.be.revertedWithCustomError(governance, "InvalidProposalAction")
+                .withArgs(1, "Malformed signature");
+        });
+
+        it("Should only accept canonical signature shapes", async function () {
+            const { governance, voter2 } = await loadFixture(deployGovernanceFixture);
+            const check = async (signature) =>
+                (await governance.validateProposalActions([action(voter2.address, { signature })])).valid;
+
+            expect(await check("transfer(address,uint256)")).to.be.true;
+            expect(await check("pause()")).to.be.true;
+            expect(await check("submit((address,uint256)[],bytes32)")).to.be.true;
+            expect(await check("transfer(address, uint256)")).to.be.false;
+            expect(await check("transfer")).to.be.false;
+            expect(await check("(address)")).to.be.false;
+            expect(await check("1transfer(address)")).to.be.false;
+            expect(await check("transfer(address,)")).to.be.false;
+            expect(await check("transfer(address))")).to.be.false;
+        });
+
+        it("Should reject calldata too short for a selector", async function () {
+            const { governance, voter2 } = await loadFixture(deployGovernanceFixture);
+
+            const [valid, , reason] = await governance.validateProposalActions([action(voter2.address, { data: "0x1234" })]);
+            expect(valid).to.be.false;
+            expect(reason).to.equal("Malformed calldata");
+        });
+
+        it("Should require the ETH balance to cover the summed action values", async function () {
+            const { governance, owner, voter2 } = await loadFixture(deployGovernanceFixture);
+            const value = ethers.parseEther("1");
+            const actions = [action(voter2.address, { value }), action(voter2.address, { value })];
+
+            const [valid, index, reason] = await governance.validateProposalActions(actions);
+            expect(valid).to.be.false;
+            expect(index).to.equal(1);
+            expect(reason).to.equal("Insufficient ETH balance");
+
+            await owner.sendTransaction({ to: await governance.getAddress(), value: 2n * value });
+            expect((await governance.validateProposalActions(actions)).valid).to.be.true;
+        });
+
+        it("Should restrict targets to the allowlist when enabled", async function () {
+            const { governance, voter2 } = await loadFixture(deployGovernanceFixture);
+            const actions = [action(voter2.address)];
+
+            await expect(governance.setActionAllowlistEnabled(true))
+                .to.emit(governance, "ActionAllowlistEnabledUpdated").withArgs(true);
+            expect((await governance.validateProposalActions(actions)).reason).to.equal("Action not allowed");
+
+            await expect(governance.setAllowedTarget(voter2.address, true))
+                .to.emit(governance, "AllowedTargetUpdated").withArgs(voter2.address, true);
+            expect((await governance.validateProposalActions(actions)).valid).to.be.true;
+        });
+
+        it("Should allow single functions through the selector allowlist", async function () {
+            const { governance, token, voter2 } = await loadFixture(deployGovernanceFixture);
+            const tokenAddress = await token.getAddress();
+            const transferSelector = token.interface.getFunction("transfer").selector;
+
+            await governance.setActionAllowlistEnabled(true);
+            await expect(governance.setAllowedSelector(tokenAddress, transferSelector, true))
+                .to.emit(governance, "AllowedSelectorUpdated").withArgs(tokenAddress, transferSelector, true);
+
+            const transfer = action(tokenAddress, { data: token.interface.encodeFunctionData("transfer", [voter2.address, 1]) });
+            const approve = action(tokenAddress, { signature: "approve(address,uint256)" });
+            expect((await governance.validateProposalActions([transfer])).valid).to.be.true;
+            expect((await governance.validateProposalActions([approve])).reason).to.equal("Action not allowed");
+        });
+
+        it("Should always allow calls back into governance", async function () {
+            const { governance } = await loadFixture(deployGovernanceFixture);
+
+            await governance.setActionAllowlistEnabled(true);
+            const setDelay = action(await governance.getAddress(), { signature: "setVotingDelay(uint256)" });
+            expect((await governance.validateProposalActions([setDelay])).valid).to.be.true;
+        });
+
+        it("Should revert if a non-admin manages the allowlist", async function () {
+            const { governance, other } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.connect(other).setAllowedTarget(other.address, true))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+            await expect(governance.connect(other).setActionAllowlistEnabled(true))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Proposal Modes", function () {
+        const actions = (target) => [{ target, value: 0, signature: "", data: "0x" }];
+
+        async function setProposalMode(mode) {
+            const result = await loadFixture(createProposalFixture);
+            const { governance, owner, proposer, voter2 } = result;
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint8"], [mode]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "setProposalMode(uint8)", data);
+            return result;
+        }
+
+        async function thresholdModeFixture() {
+            return setProposalMode(1);
+        }
+
+        async function eitherModeFixture() {
+            return setProposalMode(2);
+        }
+
+        it("Should start whitelist-only", async function () {
+            const { governance, delegate } = await loadFixture(createProposalFixture);
+
+            expect(await governance.proposalMode()).to.equal(0);
+            // delegate holds voter1's 3000 tokens, above the threshold, but is not whitelisted
+            await expect(governance.connect(delegate).createProposal("Title", "Description", actions(delegate.address)))
+                .to.be.revertedWith("Not whitelisted");
+        });
+
+        it("Should switch modes through an executed proposal", async function () {
+            const { governance, owner, proposer, voter2 } = await loadFixture(createProposalFixture);
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint8"], [2]);
+            await expect(executeSelfProposal(governance, owner, proposer, voter2, "setProposalMode(uint8)", data))
+                .to.emit(governance, "ProposalModeUpdated")
+                .withArgs(0, 2);
+            expect(await governance.proposalMode()).to.equal(2);
+        });
+
+        it("Should let any holder above the threshold propose in threshold mode", async function () {
+            const { governance, delegate, other } = await loadFixture(thresholdModeFixture);
+
+            await expect(governance.connect(delegate).createProposal("Title", "Description", actions(delegate.address)))
+                .to.emit(governance, "ProposalCreated");
+            await expect(governance.connect(other).createProposal("Title", "Description", actions(other.address)))
+                .to.be.revertedWith("Insufficient voting power");
+        });
+
+        it("Should accept either whitelisting or the threshold in either mode", async function () {
+            const { governance, delegate, other, voter3 } = await loadFixture(eitherModeFixture);
+
+            await governance.whitelistAddress(other.address);
+            await expect(governance.connect(other).createProposal("Title", "Description", actions(other.address)))
+                .to.emit(governance, "ProposalCreated");
+            await expect(governance.connect(delegate).createProposal("Title", "Description", actions(delegate.address)))
+                .to.emit(governance, "ProposalCreated");
+            await expect(governance.connect(voter3).createProposal("Title", "Description", actions(voter3.address)))
+                .to.be.revertedWith("Insufficient voting power");
+        });
+
+        it("Should not let others cancel a proposal admitted through the whitelist", async function () {
+            const { governance, delegate, other, voter3 } = await loadFixture(eitherModeFixture);
+
+            // other holds no voting power, so only the whitelist admits the proposal
+            await governance.whitelistAddress(other.address);
+            await governance.connect(other).createProposal("Title", "Description", actions(other.address));
+            const whitelistedId = await governance.getTotalProposalCount();
+            await governance.connect(delegate).createProposal("Title", "Description", actions(delegate.address));
+            const thresholdId = await governance.getTotalProposalCount();
+
+            expect(await governance.admittedByWhitelist(whitelistedId)).to.be.true;
+            expect(await governance.admittedByWhitelist(thresholdId)).to.be.false;
+            await expect(governance.connect(voter3).cancelProposal(whitelistedId))
+                .to.be.revertedWith("Not authorized to cancel");
+            await expect(governance.connect(other).cancelProposal(whitelistedId))
+                .to.emit(governance, "ProposalCancelled")
+                .withArgs(whitelistedId, other.address, false);
+        });
+    });
+
+    describe("Proposal Deposits", function () {
+        const DEPOSIT = ethers.parseEther("100");
+
+        async function depositFixture() {
+            const result = await loadFixture(createProposalFixture);
+            const { governance, token, owner, proposer, voter2 } = result;
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [DEPOSIT]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "setProposalDeposit(uint256)", data);
+            await token.connect(proposer).approve(await governance.getAddress(), ethers.MaxUint256);
+
+            const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+            return { ...result, actions };
+        }
+
+        it("Should lock the deposit when a proposal is created", async function () {
+            const { governance, token, proposer, actions } = await loadFixture(depositFixture);
+
+            await expect(governance.connect(proposer).createProposal("Title", "Description", actions))
+                .to.changeTokenBalances(token, [proposer, governance], [-DEPOSIT, DEPOSIT]);
+        });
+
+        it("Should revert creation without an allowance", async function () {
+            const { governance, token, proposer, actions } = await loadFixture(depositFixture);
+
+            await token.connect(proposer).approve(await governance.getAddress(), 0);
+            await expect(governance.connect(proposer).createProposal("Title", "Description", actions))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+        });
+
+        it("Should refund the deposit when the proposal executes", async function () {
+            const { governance, token, owner, proposer, voter2, actions } = await loadFixture(depositFixture);
+
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            const tx = governance.executeProposal(proposalId);
+            await expect(tx).to.emit(governance, "ProposalDepositRefunded").withArgs(proposalId, proposer.address, DEPOSIT);
+            await expect(tx).to.changeTokenBalance(token, proposer, DEPOSIT);
+        });
+
+        it("Should forfeit the deposit of a vetoed proposal", async function () {
+            const { governance, token, owner, proposer, voter2, guardian, actions } = await loadFixture(depositFixture);
+
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            const tx = governance.connect(guardian).vetoProposal(proposalId, "Spam");
+            await expect(tx).to.emit(governance, "ProposalDepositForfeited").withArgs(proposalId, DEPOSIT);
+            await expect(tx).to.changeTokenBalance(token, governance, 0);
+        });
+
+        it("Should keep the refund of an expired proposal out of the guardian's reach", async function () {
+            const { governance, token, owner, proposer, voter2, guardian, actions } = await loadFixture(depositFixture);
+
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            await time.increase(GRACE_PERIOD + 1);
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Spam")).to.be.revertedWith("Proposal expired");
+
+            await expect(governance.settleProposalDeposit(proposalId))
+                .to.changeTokenBalance(token, proposer, DEPOSIT);
+        });
+
+        it("Should forfeit the deposit when quorum is missed", async function () {
+            const { governance, proposer, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            await time.increase(VOTING_DELAY + VOTING_PERIOD + 1);
+
+            await expect(governance.settleProposalDeposit(proposalId))
+                .to.emit(governance, "ProposalDepositForfeited")
+                .withArgs(proposalId, DEPOSIT);
+            await expect(governance.settleProposalDeposit(proposalId)).to.be.revertedWith("Nothing to settle");
+        });
+
+        it("Should refund a defeated proposal that reached quorum", async function () {
+            const { governance, token, owner, proposer, voter2, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            await time.increase(VOTING_DELAY);
+            await governance.connect(voter2).vote(proposalId, 0, "");
+            await time.increase(VOTING_PERIOD);
+
+            expect(await governance.state(proposalId)).to.equal(3); // Defeated
+            await expect(governance.connect(owner).settleProposalDeposit(proposalId))
+                .to.changeTokenBalance(token, proposer, DEPOSIT);
+        });
+
+        it("Should not settle a proposal that is still running", async function () {
+            const { governance, proposer, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+
+            await expect(governance.settleProposalDeposit(proposalId)).to.be.revertedWith("Proposal not settled");
+        });
+
+        it("Should require the threshold on top of the deposit so locking it keeps the proposer above it", async function () {
+            const [owner, proposer, other] = await ethers.getSigners();
+            // This token reports balance changes, so locking the deposit lowers the proposer's voting power
+            const { token, governance } = await deployGovernanceWithToken(hre, { tokenContract: "MockGovernanceToken" });
+            await token.setGovernance(await governance.getAddress());
+            await token.mint(owner.address, ethers.parseEther("50000"));
+
+            const coder = ethers.AbiCoder.defaultAbiCoder();
+            const target = await governance.getAddress();
+            await executeThroughProposal(governance, [
+                { target, value: 0, signature: "setProposalMode(uint8)", data: coder.encode(["uint8"], [1]) },
+                { target, value: 0, signature: "setProposalDeposit(uint256)", data: coder.encode(["uint256"], [DEPOSIT]) }
+            ]);
+
+            const actions = [{ target: other.address, value: 0, signature: "", data: "0x" }];
+            await token.mint(proposer.address, PROPOSAL_THRESHOLD);
+            await token.connect(proposer).approve(target, ethers.MaxUint256);
+            await expect(governance.connect(proposer).createProposal("Title", "Description", actions))
+                .to.be.revertedWith("Insufficient voting power");
+
+            await token.mint(proposer.address, DEPOSIT);
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            await mine();
+            expect(await governance.votingPower(proposer.address)).to.equal(PROPOSAL_THRESHOLD);
+            await expect(governance.connect(other).cancelProposal(2)).to.be.revertedWith("Not authorized to cancel");
+        });
+
+        it("Should forfeit the deposit when the proposer cancels, even just before voting ends", async function () {
+            const { governance, token, proposer, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("Spam", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            await time.increase(VOTING_DELAY + VOTING_PERIOD - 10);
+
+            const tx = governance.connect(proposer).cancelProposal(proposalId);
+            await expect(tx).to.emit(governance, "ProposalDepositForfeited").withArgs(proposalId, DEPOSIT);
+            await expect(tx).to.changeTokenBalance(token, proposer, 0);
+        });
+
+        it("Should forfeit the deposit when others cancel below the threshold", async function () {
+            const { governance, proposer, voter3, other, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            // voter3's delegation was the proposer's only voting power
+            await governance.connect(voter3).delegate(other.address);
+
+            await expect(governance.connect(other).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalDepositForfeited")
+                .withArgs(proposalId, DEPOSIT);
+        });
+
+        it("Should refund on an admin's cancellation during voting but not after a missed quorum", async function () {
+            const { governance, token, owner, proposer, actions } = await loadFixture(depositFixture);
+
+            await governance.connect(proposer).createProposal("First", "Description", actions);
+            await expect(governance.connect(owner).cancelProposal(await governance.getTotalProposalCount()))
+                .to.changeTokenBalance(token, proposer, DEPOSIT);
+
+            await governance.connect(proposer).createProposal("Second", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            await time.increase(VOTING_DELAY + VOTING_PERIOD + 1);
+            await expect(governance.connect(owner).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalDepositForfeited")
+                .withArgs(proposalId, DEPOSIT);
+        });
+    });
+
     describe("Voting", function () {
         it("Should revert if proposal does not exist", async function () {
             const { governance, voter1 } = await loadFixture(deployGovernanceFixture);
@@ -219,17 +623,1023 @@ describe("Governance", function () {
             expect(await governance.votingPower(delegate.address)).to.equal(0);
             expect(await governance.votingPower(voter2.address)).to.equal(voter1Balance);
         });
+
+        it("Should split voting power across several delegates", async function () {
+            const { governance, voter1, voter2, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.connect(voter1).delegateMulti([delegate.address, voter2.address], [6000, 4000]))
+                .to.emit(governance, "DelegationShareUpdated").withArgs(voter1.address, delegate.address, 6000)
+                .and.to.emit(governance, "DelegationShareUpdated").withArgs(voter1.address, voter2.address, 4000)
+                .and.to.emit(governance, "DelegateChanged").withArgs(voter1.address, ethers.ZeroAddress, delegate.address);
+
+            expect(await governance.votingPower(delegate.address)).to.equal(ethers.parseEther("1800"));
+            expect(await governance.votingPower(voter2.address)).to.equal(ethers.parseEther("1200"));
+            expect(await governance.votingPower(voter1.address)).to.equal(0);
+
+            const delegations = await governance.getDelegations(voter1.address);
+            expect(delegations.length).to.equal(2);
+            expect(delegations[1].delegatee).to.equal(voter2.address);
+            expect(delegations[1].shareBps).to.equal(4000);
+            expect(delegations[1].votes).to.equal(ethers.parseEther("1200"));
+            expect((await governance.delegates(voter1.address)).delegatedVotes).to.equal(ethers.parseEther("3000"));
+        });
+
+        it("Should keep the unassigned share with the delegator", async function () {
+            const { governance, voter1, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await governance.connect(voter1).delegateMulti([delegate.address], [2500]);
+
+            expect(await governance.votingPower(delegate.address)).to.equal(ethers.parseEther("750"));
+            expect(await governance.votingPower(voter1.address)).to.equal(ethers.parseEther("2250"));
+        });
+
+        it("Should replace the previous split when delegating again", async function () {
+            const { governance, voter1, voter2, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await governance.connect(voter1).delegateMulti([delegate.address, voter2.address], [6000, 4000]);
+            await expect(governance.connect(voter1).delegate(voter2.address))
+                .to.emit(governance, "DelegationShareUpdated").withArgs(voter1.address, delegate.address, 0);
+
+            expect(await governance.votingPower(delegate.address)).to.equal(0);
+            expect(await governance.votingPower(voter2.address)).to.equal(ethers.parseEther("3000"));
+            expect((await governance.getDelegations(voter1.address)).length).to.equal(1);
+        });
+
+        it("Should reject invalid delegation splits", async function () {
+            const { governance, voter1, voter2, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.connect(voter1).delegateMulti([delegate.address, voter2.address], [6000, 4001]))
+                .to.be.revertedWith("Invalid delegation shares");
+            await expect(governance.connect(voter1).delegateMulti([delegate.address, delegate.address], [5000, 5000]))
+                .to.be.revertedWith("Duplicate delegate");
+            await expect(governance.connect(voter1).delegateMulti([delegate.address], [5000, 5000]))
+                .to.be.revertedWith("Delegation length mismatch");
+            await expect(governance.connect(voter1).delegateMulti([delegate.address, voter1.address], [5000, 5000]))
+                .to.be.revertedWith("Cannot delegate to self");
+            await expect(governance.connect(voter1).delegateMulti([delegate.address], [0]))
+                .to.be.revertedWith("Invalid delegation share");
+        });
+
+        it("Should undelegate back to self", async function () {
+            const { governance, voter1, voter2, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.connect(voter1).undelegate()).to.be.revertedWith("Not delegated");
+
+            await governance.connect(voter1).delegateMulti([delegate.address, voter2.address], [6000, 4000]);
+            await expect(governance.connect(voter1).undelegate())
+                .to.emit(governance, "DelegateChanged").withArgs(voter1.address, delegate.address, ethers.ZeroAddress);
+
+            expect(await governance.votingPower(delegate.address)).to.equal(0);
+            expect(await governance.votingPower(voter2.address)).to.equal(0);
+            expect(await governance.votingPower(voter1.address)).to.equal(ethers.parseEther("3000"));
+            expect(await governance.getDelegations(voter1.address)).to.be.empty;
+        });
+
+        it("Should re-split delegated power when the balance changes", async function () {
+            const { governance, token, voter1, voter2, delegate } = await loadFixture(deployGovernanceFixture);
+            const tokenAddress = await token.getAddress();
+            await setBalance(tokenAddress, ethers.parseEther("1"));
+            const tokenSigner = await ethers.getImpersonatedSigner(tokenAddress);
+
+            await governance.connect(voter1).delegateMulti([delegate.address, voter2.address], [5000, 2500]);
+            await governance.connect(tokenSigner).updateVotingPower(voter1.address, ethers.parseEther("2000"));
+
+            expect(await governance.votingPower(delegate.address)).to.equal(ethers.parseEther("1000"));
+            expect(await governance.votingPower(voter2.address)).to.equal(ethers.parseEther("500"));
+            expect(await governance.votingPower(voter1.address)).to.equal(ethers.parseEther("500"));
+            expect((await governance.delegates(voter1.address)).delegatedVotes).to.equal(ethers.parseEther("1500"));
+        });
+    });
+
+    describe("Snapshot Voting Power", function () {
+        it("Should record the snapshot block at proposal creation", async function () {
+            const { governance, proposalId } = await loadFixture(createProposalFixture);
+
+            const creationBlock = await ethers.provider.getBlockNumber();
+            expect(await governance.proposalSnapshot(proposalId)).to.equal(creationBlock - 1);
+        });
+
+        it("Should return past voting power at a given block", async function () {
+            const { governance, token, voter1, delegate } = await loadFixture(deployGovernanceFixture);
+
+            await governance.connect(voter1).delegate(delegate.address);
+            const delegatedAt = await ethers.provider.getBlockNumber();
+            await mine();
+
+            expect(await governance.getPastVotingPower(delegate.address, delegatedAt - 1)).to.equal(0);
+            expect(await governance.getPastVotingPower(delegate.address, delegatedAt))
+                .to.equal(await token.balanceOf(voter1.address));
+        });
+
+        it("Should revert lookups for blocks not yet mined", async function () {
+            const { governance, delegate } = await loadFixture(deployGovernanceFixture);
+
+            const current = await ethers.provider.getBlockNumber();
+            await expect(governance.getPastVotingPower(delegate.address, current + 1))
+                .to.be.revertedWith("Timepoint not yet mined");
+        });
+
+        it("Should weigh votes by power at the snapshot", async function () {
+            const { governance, token, voter1, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+
+            await expect(governance.connect(delegate).vote(proposalId, 1, "Support"))
+                .to.emit(governance, "VoteCast")
+                .withArgs(proposalId, delegate.address, 1, await token.balanceOf(voter1.address), "Support");
+        });
+
+        it("Should not let re-delegated tokens vote twice", async function () {
+            const { governance, voter1, voter2, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 1, "");
+
+            // Moving the delegation after the snapshot gives the new delegate no weight
+            await governance.connect(voter1).delegate(voter2.address);
+            await expect(governance.connect(voter2).vote(proposalId, 1, ""))
+                .to.be.revertedWith("No voting power");
+        });
+
+        it("Should ignore power gained after the snapshot", async function () {
+            const { governance, voter2, other, proposalId } = await loadFixture(createProposalFixture);
+
+            await governance.connect(voter2).delegate(other.address);
+            await time.increase(VOTING_DELAY);
+
+            expect(await governance.getVotingPower(other.address)).to.be.gt(0);
+            await expect(governance.connect(other).vote(proposalId, 0, ""))
+                .to.be.revertedWith("No voting power");
+        });
+    });
+
+    describe("Governance Parameters", function () {
+        it("Should emit parameter events on deployment", async function () {
+            const { token, owner, guardian } = await loadFixture(deployGovernanceFixture);
+            const governance = await deployGovernanceProxy(hre, [await token.getAddress(), ...GOVERNANCE_PARAMS, guardian.address]);
+
+            await expect(governance.deploymentTransaction())
+                .to.emit(governance, "VotingDelayUpdated").withArgs(0, VOTING_DELAY)
+                .and.to.emit(governance, "RoleGranted").withArgs(await governance.GUARDIAN_ROLE(), guardian.address, owner.address);
+        });
+
+        it("Should revert deployment with out-of-bounds parameters", async function () {
+            const { token, guardian } = await loadFixture(deployGovernanceFixture);
+            const tokenAddress = await token.getAddress();
+
+            await expect(deployGovernanceProxy(hre, [tokenAddress, 0, VOTING_PERIOD, PROPOSAL_THRESHOLD, QUORUM_NUMERATOR, true, EXECUTION_DELAY, guardian.address]))
+                .to.be.revertedWith("Invalid voting delay");
+            await expect(deployGovernanceProxy(hre, [tokenAddress, VOTING_DELAY, 31 * 24 * 60 * 60, PROPOSAL_THRESHOLD, QUORUM_NUMERATOR, true, EXECUTION_DELAY, guardian.address]))
+                .to.be.revertedWith("Invalid voting period");
+            await expect(deployGovernanceProxy(hre, [tokenAddress, VOTING_DELAY, VOTING_PERIOD, 0, QUORUM_NUMERATOR, true, EXECUTION_DELAY, guardian.address]))
+                .to.be.revertedWith("Invalid proposal threshold");
+            await expect(deployGovernanceProxy(hre, [tokenAddress, VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, 0, true, EXECUTION_DELAY, guardian.address]))
+                .to.be.revertedWith("Invalid quorum numerator");
+            await expect(deployGovernanceProxy(hre, [tokenAddress, VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, 10001, true, EXECUTION_DELAY, guardian.address]))
+                .to.be.revertedWith("Invalid quorum numerator");
+            await expect(deployGovernanceProxy(hre, [tokenAddress, VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, QUORUM_NUMERATOR, true, 0, guardian.address]))
+                .to.be.revertedWith("Invalid execution delay");
+        });
+
+        it("Should revert if parameters are set outside governance", async function () {
+            const { governance } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.setVotingDelay(2 * VOTING_DELAY)).to.be.revertedWith("Only governance");
+            await expect(governance.setVotingPeriod(VOTING_PERIOD)).to.be.revertedWith("Only governance");
+            await expect(governance.setProposalThreshold(1)).to.be.revertedWith("Only governance");
+            await expect(governance.setQuorumNumerator(1)).to.be.revertedWith("Only governance");
+            await expect(governance.setQuorumCountsAbstain(false)).to.be.revertedWith("Only governance");
+            await expect(governance.setExecutionDelay(EXECUTION_DELAY)).to.be.revertedWith("Only governance");
+            await expect(governance.setProposalMode(1)).to.be.revertedWith("Only governance");
+            await expect(governance.setProposalDeposit(1)).to.be.revertedWith("Only governance");
+        });
+
+        it("Should update a parameter through an executed proposal", async function () {
+            const { governance, owner, proposer, voter2, voter3 } = await loadFixture(deployGovernanceFixture);
+            await governance.connect(voter3).delegate(proposer.address);
+
+            const newDelay = 2 * VOTING_DELAY;
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [newDelay]);
+
+            await expect(executeSelfProposal(governance, owner, proposer, voter2, "setVotingDelay(uint256)", data))
+                .to.emit(governance, "VotingDelayUpdated")
+                .withArgs(VOTING_DELAY, newDelay);
+            expect(await governance.votingDelay()).to.equal(newDelay);
+        });
+
+        it("Should keep existing proposals on their original parameters", async function () {
+            const { governance, owner, proposer, voter2, proposalId } = await loadFixture(createProposalFixture);
+            const { startTime, endTime } = await governance.getProposal(proposalId);
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [2 * VOTING_PERIOD]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "setVotingPeriod(uint256)", data);
+            expect(await governance.votingPeriod()).to.equal(2 * VOTING_PERIOD);
+
+            const proposal = await governance.getProposal(proposalId);
+            expect(proposal.startTime).to.equal(startTime);
+            expect(proposal.endTime).to.equal(endTime);
+        });
+    });
+
+    describe("Quorum", function () {
+        it("Should fix quorum as a share of total supply at creation", async function () {
+            const { governance, token, proposalId } = await loadFixture(createProposalFixture);
+
+            const supply = await token.totalSupply();
+            expect(await governance.quorum(proposalId)).to.equal(supply * BigInt(QUORUM_NUMERATOR) / 10000n);
+        });
+
+        it("Should not change quorum of existing proposals when supply changes", async function () {
+            const { governance, token, owner, proposalId } = await loadFixture(createProposalFixture);
+
+            const quorumBefore = await governance.quorum(proposalId);
+            await token.burn(owner.address, ethers.parseEther("40000"));
+            expect(await governance.quorum(proposalId)).to.equal(quorumBefore);
+        });
+
+        it("Should revert quorum for non-existent proposal", async function () {
+            const { governance } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.quorum(1)).to.be.revertedWith("Proposal does not exist");
+        });
+
+        it("Should count abstain votes toward quorum by default", async function () {
+            const { governance, proposer, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            // Quorum is 2560 tokens: 3000 abstain plus 2000 for clears it only when abstain counts
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 2, "");
+            await governance.connect(proposer).vote(proposalId, 1, "");
+            await time.increase(VOTING_PERIOD);
+
+            expect(await governance.getProposalState(proposalId)).to.equal("Succeeded");
+        });
+
+        it("Should ignore abstain votes when the policy excludes them", async function () {
+            const { token, owner, proposer, voter1, voter2, voter3, delegate, guardian } = await loadFixture(deployGovernanceFixture);
+            const governance = await deployGovernanceProxy(hre, [
+                await token.getAddress(), VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, QUORUM_NUMERATOR, false, EXECUTION_DELAY,
+                guardian.address
+            ]);
+            await governance.grantRole(await governance.WHITELIST_MANAGER_ROLE(), owner.address);
+            await governance.whitelistAddress(proposer.address);
+            await governance.connect(voter3).delegate(proposer.address);
+            await governance.connect(voter1).delegate(delegate.address);
+
+            const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(1, 2, "");
+            await governance.connect(proposer).vote(1, 1, "");
+            await time.increase(VOTING_PERIOD);
+
+            expect(await governance.getProposalState(1)).to.equal("Defeated");
+            await expect(governance.queueProposal(1)).to.be.revertedWith("Quorum not met");
+        });
+    });
+
+    describe("Timelock Queue", function () {
+        it("Should report Pending and Active before voting ends", async function () {
+            const { governance, proposalId } = await loadFixture(createProposalFixture);
+
+            expect(await governance.getProposalState(proposalId)).to.equal("Pending");
+            await time.increase(VOTING_DELAY);
+            expect(await governance.getProposalState(proposalId)).to.equal("Active");
+        });
+
+        it("Should stay Succeeded until queued", async function () {
+            const { governance, proposalId } = await loadFixture(succeededProposalFixture);
+
+            await time.increase(EXECUTION_DELAY * 2);
+            expect(await governance.getProposalState(proposalId)).to.equal("Succeeded");
+            await expect(governance.executeProposal(proposalId))
+                .to.be.revertedWith("Proposal not queued");
+        });
+
+        it("Should queue a succeeded proposal with an ETA", async function () {
+            const { governance, proposalId } = await loadFixture(succeededProposalFixture);
+
+            const tx = await governance.queueProposal(proposalId);
+            const block = await ethers.provider.getBlock(tx.blockNumber);
+
+            await expect(tx)
+                .to.emit(governance, "ProposalQueued")
+                .withArgs(proposalId, block.timestamp + EXECUTION_DELAY);
+            expect(await governance.getProposalState(proposalId)).to.equal("Queued");
+        });
+
+        it("Should revert queueing while voting is active", async function () {
+            const { governance, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await expect(governance.queueProposal(proposalId)).to.be.revertedWith("Voting not ended");
+        });
+
+        it("Should revert queueing a defeated proposal", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 0, "");
+            await time.increase(VOTING_PERIOD);
+
+            await expect(governance.queueProposal(proposalId)).to.be.revertedWith("Proposal not passed");
+        });
+
+        it("Should revert queueing twice", async function () {
+            const { governance, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await expect(governance.queueProposal(proposalId)).to.be.revertedWith("Proposal already queued");
+        });
+
+        it("Should revert execution before the ETA", async function () {
+            const { governance, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Execution delay not met");
+        });
+
+        it("Should execute within the grace period", async function () {
+            const { governance, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await time.increase(EXECUTION_DELAY);
+            await expect(governance.executeProposal(proposalId))
+                .to.emit(governance, "ProposalExecuted");
+            expect(await governance.getProposalState(proposalId)).to.equal("Executed");
+        });
+
+        it("Should expire after the grace period", async function () {
+            const { governance, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await time.increase(EXECUTION_DELAY + GRACE_PERIOD + 1);
+            expect(await governance.getProposalState(proposalId)).to.equal("Expired");
+            await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Proposal expired");
+        });
+
+        it("Should let the guardian veto a queued proposal", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Drains the treasury"))
+                .to.emit(governance, "ProposalVetoed")
+                .withArgs(proposalId, guardian.address, "Drains the treasury");
+            expect(await governance.getProposalState(proposalId)).to.equal("Vetoed");
+
+            await time.increase(EXECUTION_DELAY);
+            await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Proposal cancelled");
+        });
+
+        it("Should revert veto from non-guardian", async function () {
+            const { governance, owner, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await expect(governance.connect(owner).vetoProposal(proposalId, "Reason"))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount")
+                .withArgs(owner.address, await governance.GUARDIAN_ROLE());
+        });
+
+        it("Should let the guardian veto a pending proposal", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(createProposalFixture);
+
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Spam"))
+                .to.emit(governance, "ProposalVetoed")
+                .withArgs(proposalId, guardian.address, "Spam");
+            expect(await governance.getProposalState(proposalId)).to.equal("Vetoed");
+        });
+
+        it("Should let the guardian veto an active proposal", async function () {
+            const { governance, guardian, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(guardian).vetoProposal(proposalId, "Spam");
+            expect(await governance.getProposalState(proposalId)).to.equal("Vetoed");
+            await expect(governance.connect(delegate).vote(proposalId, 1, "")).to.be.revertedWith("Proposal cancelled");
+        });
+
+        it("Should let the guardian veto a succeeded proposal before it is queued", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(succeededProposalFixture);
+
+            await governance.connect(guardian).vetoProposal(proposalId, "Spam");
+            expect(await governance.getProposalState(proposalId)).to.equal("Vetoed");
+            await expect(governance.queueProposal(proposalId)).to.be.revertedWith("Proposal cancelled");
+        });
+
+        it("Should revert veto of an expired proposal", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await time.increase(EXECUTION_DELAY + GRACE_PERIOD + 1);
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Reason")).to.be.revertedWith("Proposal expired");
+            expect(await governance.getProposalState(proposalId)).to.equal("Expired");
+        });
+
+        it("Should revert veto of a defeated proposal", async function () {
+            const { governance, guardian, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 0, "");
+            await time.increase(VOTING_PERIOD);
+
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Reason")).to.be.revertedWith("Proposal defeated");
+        });
+
+        it("Should revert veto of a cancelled proposal", async function () {
+            const { governance, guardian, proposer, proposalId } = await loadFixture(createProposalFixture);
+
+            await governance.connect(proposer).cancelProposal(proposalId);
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Reason")).to.be.revertedWith("Proposal cancelled");
+        });
+
+        it("Should revert veto after execution", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await time.increase(EXECUTION_DELAY);
+            await governance.executeProposal(proposalId);
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Reason")).to.be.revertedWith("Proposal executed");
+        });
+
+        it("Should require a veto reason", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "")).to.be.revertedWith("Veto reason required");
+        });
+
+        it("Should let the guardian renounce the role", async function () {
+            const { governance, guardian, proposalId } = await loadFixture(queuedProposalFixture);
+
+            const guardianRole = await governance.GUARDIAN_ROLE();
+            await expect(governance.connect(guardian).renounceRole(guardianRole, guardian.address))
+                .to.emit(governance, "RoleRevoked")
+                .withArgs(guardianRole, guardian.address, guardian.address);
+            await expect(governance.connect(guardian).vetoProposal(proposalId, "Reason"))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should hand the guardian role over through governance", async function () {
+            const { governance, owner, proposer, voter2, other } = await loadFixture(createProposalFixture);
+
+            const guardianRole = await governance.GUARDIAN_ROLE();
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [guardianRole, other.address]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "grantRole(bytes32,address)", data);
+            expect(await governance.hasRole(guardianRole, other.address)).to.be.true;
+        });
+    });
+
+    describe("Proposal Cancellation", function () {
+        it("Should let the proposer cancel", async function () {
+            const { governance, proposer, proposalId } = await loadFixture(createProposalFixture);
+
+            await expect(governance.connect(proposer).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalCancelled")
+                .withArgs(proposalId, proposer.address, false);
+        });
+
+        it("Should let the admin cancel", async function () {
+            const { governance, owner, proposalId } = await loadFixture(createProposalFixture);
+
+            await expect(governance.connect(owner).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalCancelled")
+                .withArgs(proposalId, owner.address, true);
+        });
+
+        it("Should not let others cancel while the proposer holds the threshold", async function () {
+            const { governance, other, proposalId } = await loadFixture(createProposalFixture);
+
+            await expect(governance.connect(other).cancelProposal(proposalId))
+                .to.be.revertedWith("Not authorized to cancel");
+        });
+
+        it("Should let anyone cancel once the proposer drops below the threshold", async function () {
+            const { governance, voter3, other, proposalId } = await loadFixture(createProposalFixture);
+
+            // voter3's delegation was the proposer's only voting power
+            await governance.connect(voter3).delegate(other.address);
+
+            await expect(governance.connect(other).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalCancelledBelowThreshold")
+                .withArgs(proposalId, other.address, 0);
+            expect(await governance.getProposalState(proposalId)).to.equal("Cancelled");
+        });
+
+        it("Should judge cancellation by the threshold the proposal was created with", async function () {
+            const { governance, owner, proposer, voter2, other } = await loadFixture(deployGovernanceFixture);
+
+            // proposer holds 5000 through voter2's delegation; raising the threshold above it leaves earlier proposals alone
+            await governance.connect(voter2).delegate(proposer.address);
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [ethers.parseEther("10000")]);
+            const actions = [{ target: await governance.getAddress(), value: 0, signature: "setProposalThreshold(uint256)", data }];
+            await governance.connect(proposer).createProposal("Earlier", "Created under the old threshold", [
+                { target: other.address, value: 0, signature: "", data: "0x" }
+            ]);
+            await executeThroughProposal(governance, actions, { proposer, voter: proposer });
+
+            expect(await governance.proposalThreshold()).to.equal(ethers.parseEther("10000"));
+            await expect(governance.connect(other).cancelProposal(1)).to.be.revertedWith("Not authorized to cancel");
+        });
+
+        it("Should allow threshold cancellation of a queued proposal", async function () {
+            const { governance, voter3, other, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await governance.connect(voter3).undelegate();
+
+            await expect(governance.connect(other).cancelProposal(proposalId))
+                .to.emit(governance, "ProposalCancelledBelowThreshold");
+            await time.increase(EXECUTION_DELAY);
+            await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Proposal cancelled");
+        });
+    });
+
+    describe("Execution Results", function () {
+        const ATOMIC = 0;
+        const BEST_EFFORT = 1;
+
+        // A token transfer the governance contract cannot fund, followed by a valid parameter change
+        async function mixedActions(governance, token, recipient) {
+            return [
+                {
+                    target: await token.getAddress(),
+                    value: 0,
+                    signature: "",
+                    data: token.interface.encodeFunctionData("transfer", [recipient, 1])
+                },
+                {
+                    target: await governance.getAddress(),
+                    value: 0,
+                    signature: "setVotingDelay(uint256)",
+                    data: ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [2 * VOTING_DELAY])
+                }
+            ];
+        }
+
+        it("Should emit ActionExecuted for each successful action", async function () {
+            const { governance, owner, proposer, voter2 } = await loadFixture(createProposalFixture);
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [2 * VOTING_DELAY]);
+            await expect(executeSelfProposal(governance, owner, proposer, voter2, "setVotingDelay(uint256)", data))
+                .to.emit(governance, "ActionExecuted").withArgs(2, 0, true, "0x");
+        });
+
+        it("Should bubble up the failing action index and revert data in atomic mode", async function () {
+            const { governance, token, owner, proposer, voter1, voter2 } = await loadFixture(createProposalFixture);
+
+            const actions = await mixedActions(governance, token, voter1.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions, ATOMIC);
+
+            const reverted = governance.executeProposal(proposalId);
+            await expect(reverted).to.be.revertedWithCustomError(governance, "ActionExecutionFailed")
+                .withArgs(0, (returnData) => decodeRevertReason(returnData) === "ERC20: transfer amount exceeds balance");
+            expect(await governance.votingDelay()).to.equal(VOTING_DELAY);
+        });
+
+        it("Should record failures and continue in best-effort mode", async function () {
+            const { governance, token, owner, proposer, voter1, voter2 } = await loadFixture(createProposalFixture);
+
+            const actions = await mixedActions(governance, token, voter1.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions, BEST_EFFORT);
+
+            await expect(governance.executeProposal(proposalId))
+                .to.emit(governance, "ActionExecuted").withArgs(proposalId, 0, false, anyValue)
+                .and.to.emit(governance, "ActionExecuted").withArgs(proposalId, 1, true, "0x")
+                .and.to.emit(governance, "ProposalExecuted");
+
+            expect(await governance.votingDelay()).to.equal(2 * VOTING_DELAY);
+            expect(await governance.state(proposalId)).to.equal(8); // Executed
+            expect((await governance.getProposalDetails(proposalId)).executionMode).to.equal(BEST_EFFORT);
+        });
+
+        it("Should default to atomic execution", async function () {
+            const { governance, proposalId } = await loadFixture(createProposalFixture);
+
+            expect((await governance.getProposalDetails(proposalId)).executionMode).to.equal(ATOMIC);
+        });
+
+        it("Should preview action outcomes without changing state", async function () {
+            const { governance, token, owner, proposer, voter1, voter2 } = await loadFixture(createProposalFixture);
+
+            const actions = await mixedActions(governance, token, voter1.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions, BEST_EFFORT);
+
+            const simulation = await simulateProposal(governance, proposalId);
+            expect(simulation.mode).to.equal("BestEffort");
+            expect(simulation.results.map((result) => result.success)).to.deep.equal([false, true]);
+            expect(simulation.results[0].reason).to.equal("ERC20: transfer amount exceeds balance");
+            expect(await governance.votingDelay()).to.equal(VOTING_DELAY);
+            expect(await governance.state(proposalId)).to.equal(6); // Queued
+        });
+
+        it("Should stop an atomic preview at the first failure", async function () {
+            const { governance, token, owner, proposer, voter1, voter2 } = await loadFixture(createProposalFixture);
+
+            const actions = await mixedActions(governance, token, voter1.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions, ATOMIC);
+
+            const simulation = await simulateProposal(governance, proposalId);
+            expect(simulation.succeeds).to.be.false;
+            expect(simulation.results).to.have.length(1);
+        });
+    });
+
+    describe("Signature Voting and Delegation", function () {
+        async function activeProposalFixture() {
+            const result = await loadFixture(createProposalFixture);
+            await time.increase(VOTING_DELAY);
+            return result;
+        }
+
+        it("Should cast a vote from a relayed signature", async function () {
+            const { governance, token, voter1, delegate, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            const payload = await signVote(delegate, governance, { proposalId, support: 1 });
+            await expect(relayVote(governance.connect(other), payload))
+                .to.emit(governance, "VoteCast")
+                .withArgs(proposalId, delegate.address, 1, await token.balanceOf(voter1.address), "");
+
+            expect(await governance.hasVoted(proposalId, delegate.address)).to.be.true;
+            expect(await governance.nonces(delegate.address)).to.equal(1);
+        });
+
+        it("Should cast a vote with reason from a relayed signature", async function () {
+            const { governance, delegate, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            const payload = await signVote(delegate, governance, { proposalId, support: 0, reason: "Too costly" });
+            await expect(relayVote(governance.connect(other), payload))
+                .to.emit(governance, "VoteCast")
+                .withArgs(proposalId, delegate.address, 0, anyValue, "Too costly");
+        });
+
+        it("Should reject a replayed signature", async function () {
+            const { governance, delegate, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            const payload = await signVote(delegate, governance, { proposalId, support: 1 });
+            await relayVote(governance.connect(other), payload);
+
+            await expect(relayVote(governance.connect(other), payload))
+                .to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject an expired signature", async function () {
+            const { governance, delegate, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            const expiry = (await time.latest()) + 60;
+            const payload = await signVote(delegate, governance, { proposalId, support: 1, expiry });
+            await time.increase(120);
+
+            await expect(relayVote(governance.connect(other), payload))
+                .to.be.revertedWith("Signature expired");
+        });
+
+        it("Should reject a signature from someone other than the voter", async function () {
+            const { governance, delegate, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            const payload = await signVote(other, governance, { proposalId, support: 1, voter: delegate.address });
+            await expect(relayVote(governance, payload)).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should accept ERC-1271 signatures from a contract wallet", async function () {
+            const { governance, token, proposer, voter2, voter3, other } = await loadFixture(deployGovernanceFixture);
+
+            const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+            const wallet = await Wallet.deploy(other.address);
+            const walletAddress = await wallet.getAddress();
+
+            await governance.connect(voter2).delegate(walletAddress);
+            await governance.connect(voter3).delegate(proposer.address);
+            const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            await time.increase(VOTING_DELAY);
+
+            const payload = await signVote(other, governance, { proposalId: 1, support: 1, voter: walletAddress });
+            await expect(relayVote(governance, payload))
+                .to.emit(governance, "VoteCast")
+                .withArgs(1, walletAddress, 1, await token.balanceOf(voter2.address), "");
+        });
+
+        it("Should delegate from a relayed signature", async function () {
+            const { governance, token, voter1, delegate, other } = await loadFixture(deployGovernanceFixture);
+
+            const payload = await signDelegation(voter1, governance, { delegatee: delegate.address });
+            await expect(relayDelegation(governance.connect(other), payload))
+                .to.emit(governance, "DelegateChanged")
+                .withArgs(voter1.address, ethers.ZeroAddress, delegate.address);
+
+            expect(await governance.votingPower(delegate.address)).to.equal(await token.balanceOf(voter1.address));
+        });
+
+        it("Should reject a delegation signed by another account", async function () {
+            const { governance, voter1, delegate, other } = await loadFixture(deployGovernanceFixture);
+
+            const payload = await signDelegation(other, governance, { delegatee: delegate.address, delegator: voter1.address });
+            await expect(relayDelegation(governance, payload)).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should prevent signature voting when paused", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+
+            const payload = await signVote(delegate, governance, { proposalId, support: 1 });
+            await governance.pause();
+            await expect(relayVote(governance, payload)).to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+    describe("Proposal State and Details", function () {
+        const ProposalState = {
+            Pending: 0, Active: 1, Cancelled: 2, Defeated: 3, QuorumNotMet: 4,
+            Succeeded: 5, Queued: 6, Expired: 7, Executed: 8, Vetoed: 9
+        };
+
+        it("Should report state as an enum through the lifecycle", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Pending);
+            await time.increase(VOTING_DELAY);
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Active);
+
+            await governance.connect(delegate).vote(proposalId, 1, "");
+            await time.increase(VOTING_PERIOD);
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Succeeded);
+
+            await governance.queueProposal(proposalId);
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Queued);
+
+            await time.increase(EXECUTION_DELAY);
+            await governance.executeProposal(proposalId);
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Executed);
+        });
+
+        it("Should tell a lost vote apart from a missed quorum", async function () {
+            const { governance, proposer, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            // Second proposal so one can be voted down and the other left below quorum
+            const actions = [{ target: proposer.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Second", "Description", actions);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 0, "");
+            await governance.connect(proposer).vote(2, 1, "");
+            await time.increase(VOTING_PERIOD);
+
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Defeated);
+            expect(await governance.state(2)).to.equal(ProposalState.QuorumNotMet);
+            expect(await governance.getProposalState(2)).to.equal("Defeated");
+        });
+
+        it("Should report Cancelled and Expired states", async function () {
+            const { governance, proposer, proposalId } = await loadFixture(queuedProposalFixture);
+
+            await time.increase(EXECUTION_DELAY + GRACE_PERIOD + 1);
+            expect(await governance.state(proposalId)).to.equal(ProposalState.Expired);
+
+            const actions = [{ target: proposer.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Second", "Description", actions);
+            await governance.connect(proposer).cancelProposal(2);
+            expect(await governance.state(2)).to.equal(ProposalState.Cancelled);
+        });
+
+        it("Should revert state for non-existent proposal", async function () {
+            const { governance } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.state(1)).to.be.revertedWith("Proposal does not exist");
+        });
+
+        it("Should return proposal details", async function () {
+            const { governance, token, voter1, proposer, proposalId } = await loadFixture(queuedProposalFixture);
+
+            const details = await governance.getProposalDetails(proposalId);
+            const power = await token.balanceOf(voter1.address);
+
+            expect(details.id).to.equal(proposalId);
+            expect(details.proposer).to.equal(proposer.address);
+            expect(details.title).to.equal("Title");
+            expect(details.state).to.equal(ProposalState.Queued);
+            expect(details.snapshot).to.equal(await governance.proposalSnapshot(proposalId));
+            expect(details.eta).to.be.gt(0);
+            expect(details.forVotes).to.equal(power);
+            expect(details.againstVotes).to.equal(0);
+            expect(details.abstainVotes).to.equal(0);
+            expect(details.quorumVotes).to.equal(await governance.quorum(proposalId));
+            expect(details.quorumReached).to.be.true;
+            expect(details.voteSucceeded).to.be.true;
+            expect(details.actionCount).to.equal(1);
+        });
+
+        it("Should page through proposals", async function () {
+            const { governance, proposer } = await loadFixture(createProposalFixture);
+
+            const actions = [{ target: proposer.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Second", "Description", actions);
+            await governance.connect(proposer).createProposal("Third", "Description", actions);
+
+            const page = await governance.getProposals(2, 3);
+            expect(page.length).to.equal(2);
+            expect(page[0].title).to.equal("Second");
+            expect(page[1].title).to.equal("Third");
+            expect(page[1].state).to.equal(ProposalState.Pending);
+        });
+
+        it("Should revert invalid proposal ranges", async function () {
+            const { governance } = await loadFixture(createProposalFixture);
+
+            await expect(governance.getProposals(0, 1)).to.be.revertedWith("Invalid proposal range");
+            await expect(governance.getProposals(1, 2)).to.be.revertedWith("Invalid proposal range");
+            await expect(governance.getProposals(1, 0)).to.be.revertedWith("Invalid proposal range");
+        });
+    });
+
+    describe("Vote Changes", function () {
+        async function voteChangesFixture() {
+            const result = await loadFixture(deployGovernanceFixture);
+            const { governance, owner, proposer, voter1, voter2, voter3, delegate } = result;
+
+            await governance.connect(voter3).delegate(proposer.address);
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "setVoteChangesAllowed(bool)", data);
+
+            await governance.connect(voter1).delegate(delegate.address);
+            const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+            await governance.connect(proposer).createProposal("Title", "Description", actions);
+            const proposalId = await governance.getTotalProposalCount();
+            await time.increase(VOTING_DELAY);
+
+            return { ...result, proposalId };
+        }
+
+        it("Should record the ballot in a receipt", async function () {
+            const { governance, token, voter1, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 2, "Unsure");
+
+            const receipt = await governance.getReceipt(proposalId, delegate.address);
+            expect(receipt.hasVoted).to.be.true;
+            expect(receipt.support).to.equal(2);
+            expect(receipt.weight).to.equal(await token.balanceOf(voter1.address));
+            expect(receipt.reasonHash).to.equal(ethers.id("Unsure"));
+        });
+
+        it("Should reject a second vote when changes are not allowed", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(createProposalFixture);
+
+            await time.increase(VOTING_DELAY);
+            await governance.connect(delegate).vote(proposalId, 1, "");
+
+            await expect(governance.connect(delegate).vote(proposalId, 0, "")).to.be.revertedWith("Already voted");
+            await expect(governance.connect(delegate).retractVote(proposalId))
+                .to.be.revertedWith("Vote changes not allowed");
+        });
+
+        it("Should only allow vote changes through governance", async function () {
+            const { governance } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.setVoteChangesAllowed(true)).to.be.revertedWith("Only governance");
+        });
+
+        it("Should move weight to the new tally when a vote is re-cast", async function () {
+            const { governance, token, voter1, delegate, proposalId } = await loadFixture(voteChangesFixture);
+            const weight = await token.balanceOf(voter1.address);
+
+            await governance.connect(delegate).vote(proposalId, 1, "");
+            await expect(governance.connect(delegate).vote(proposalId, 0, "Changed my mind"))
+                .to.emit(governance, "VoteChanged")
+                .withArgs(proposalId, delegate.address, 1, weight)
+                .and.to.emit(governance, "VoteCast")
+                .withArgs(proposalId, delegate.address, 0, weight, "Changed my mind");
+
+            const details = await governance.getProposalDetails(proposalId);
+            expect(details.forVotes).to.equal(0);
+            expect(details.againstVotes).to.equal(weight);
+            expect((await governance.getReceipt(proposalId, delegate.address)).support).to.equal(0);
+        });
+
+        it("Should remove the ballot when a vote is retracted", async function () {
+            const { governance, token, voter1, delegate, proposalId } = await loadFixture(voteChangesFixture);
+            const weight = await token.balanceOf(voter1.address);
+
+            await governance.connect(delegate).vote(proposalId, 2, "");
+            await expect(governance.connect(delegate).retractVote(proposalId))
+                .to.emit(governance, "VoteChanged")
+                .withArgs(proposalId, delegate.address, 2, weight);
+
+            expect((await governance.getProposalDetails(proposalId)).abstainVotes).to.equal(0);
+            expect(await governance.hasVoted(proposalId, delegate.address)).to.be.false;
+        });
+
+        it("Should retract a split ballot from every tally", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(voteChangesFixture);
+
+            await governance.connect(delegate).castVoteFractional(proposalId, 100, 200, 300, "");
+            await governance.connect(delegate).retractVote(proposalId);
+
+            const details = await governance.getProposalDetails(proposalId);
+            expect(details.forVotes + details.againstVotes + details.abstainVotes).to.equal(0);
+        });
+
+        it("Should revert retracting without a vote", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(voteChangesFixture);
+
+            await expect(governance.connect(delegate).retractVote(proposalId)).to.be.revertedWith("Not voted");
+        });
+
+        it("Should revert vote changes after voting ends", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(voteChangesFixture);
+
+            await governance.connect(delegate).vote(proposalId, 1, "");
+            await time.increase(VOTING_PERIOD);
+
+            await expect(governance.connect(delegate).vote(proposalId, 0, "")).to.be.revertedWith("Voting ended");
+            await expect(governance.connect(delegate).retractVote(proposalId)).to.be.revertedWith("Voting ended");
+        });
+    });
+
+    describe("Fractional Voting", function () {
+        const SUPPORT_FRACTIONAL = 3;
+
+        async function activeProposalFixture() {
+            const result = await loadFixture(createProposalFixture);
+            await time.increase(VOTING_DELAY);
+            return result;
+        }
+
+        it("Should split weight across tallies", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+            const [forWeight, againstWeight, abstainWeight] = [ethers.parseEther("1500"), ethers.parseEther("1000"), ethers.parseEther("500")];
+
+            await expect(governance.connect(delegate).castVoteFractional(proposalId, forWeight, againstWeight, abstainWeight, "Poll result"))
+                .to.emit(governance, "VoteCast")
+                .withArgs(proposalId, delegate.address, SUPPORT_FRACTIONAL, ethers.parseEther("3000"), "Poll result")
+                .and.to.emit(governance, "VoteCastFractional")
+                .withArgs(proposalId, delegate.address, forWeight, againstWeight, abstainWeight);
+
+            const details = await governance.getProposalDetails(proposalId);
+            expect(details.forVotes).to.equal(forWeight);
+            expect(details.againstVotes).to.equal(againstWeight);
+            expect(details.abstainVotes).to.equal(abstainWeight);
+
+            const receipt = await governance.getReceipt(proposalId, delegate.address);
+            expect(receipt.support).to.equal(SUPPORT_FRACTIONAL);
+            expect(receipt.weight).to.equal(ethers.parseEther("3000"));
+            expect(receipt.forWeight).to.equal(forWeight);
+        });
+
+        it("Should allow partial votes over multiple transactions", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+
+            await governance.connect(delegate).castVoteFractional(proposalId, ethers.parseEther("1000"), 0, 0, "");
+            await governance.connect(delegate).castVoteFractional(proposalId, ethers.parseEther("500"), ethers.parseEther("1500"), 0, "");
+
+            const receipt = await governance.getReceipt(proposalId, delegate.address);
+            expect(receipt.weight).to.equal(ethers.parseEther("3000"));
+            expect(receipt.forWeight).to.equal(ethers.parseEther("1500"));
+            expect(receipt.againstWeight).to.equal(ethers.parseEther("1500"));
+        });
+
+        it("Should revert when split weight exceeds snapshot power", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+
+            await governance.connect(delegate).castVoteFractional(proposalId, ethers.parseEther("2000"), 0, 0, "");
+            await expect(governance.connect(delegate).castVoteFractional(proposalId, 0, ethers.parseEther("1001"), 0, ""))
+                .to.be.revertedWith("Exceeds voting power");
+        });
+
+        it("Should revert an empty split", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+
+            await expect(governance.connect(delegate).castVoteFractional(proposalId, 0, 0, 0, ""))
+                .to.be.revertedWith("No weight cast");
+        });
+
+        it("Should revert for accounts without snapshot power", async function () {
+            const { governance, other, proposalId } = await loadFixture(activeProposalFixture);
+
+            await expect(governance.connect(other).castVoteFractional(proposalId, 1, 0, 0, ""))
+                .to.be.revertedWith("No voting power");
+        });
+
+        it("Should not mix full and fractional ballots", async function () {
+            const { governance, delegate, proposer, proposalId } = await loadFixture(activeProposalFixture);
+
+            await governance.connect(delegate).vote(proposalId, 1, "");
+            await expect(governance.connect(delegate).castVoteFractional(proposalId, 1, 0, 0, ""))
+                .to.be.revertedWith("Already voted");
+
+            await governance.connect(proposer).castVoteFractional(proposalId, 1, 0, 0, "");
+            await expect(governance.connect(proposer).vote(proposalId, 1, ""))
+                .to.be.revertedWith("Already voted");
+        });
+
+        it("Should revert after voting ends", async function () {
+            const { governance, delegate, proposalId } = await loadFixture(activeProposalFixture);
+
+            await time.increase(VOTING_PERIOD);
+            await expect(governance.connect(delegate).castVoteFractional(proposalId, 1, 0, 0, ""))
+                .to.be.revertedWith("Voting ended");
+        });
     });
 
     describe("Pause Functionality", function () {
-        it("Should allow owner to pause", async function () {
+        it("Should allow the pauser to pause", async function () {
             const { governance, owner } = await loadFixture(deployGovernanceFixture);
 
             await governance.pause();
             expect(await governance.paused()).to.be.true;
         });
 
-        it("Should allow owner to unpause", async function () {
+        it("Should allow the pauser to unpause", async function () {
             const { governance, owner } = await loadFixture(deployGovernanceFixture);
 
             await governance.pause();
@@ -237,11 +1647,12 @@ describe("Governance", function () {
             expect(await governance.paused()).to.be.false;
         });
 
-        it("Should revert if non-owner tries to pause", async function () {
+        it("Should revert if a non-pauser tries to pause", async function () {
             const { governance, other } = await loadFixture(deployGovernanceFixture);
 
             await expect(governance.connect(other).pause())
-                .to.be.revertedWith("Ownable: caller is not the owner");
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount")
+                .withArgs(other.address, await governance.PAUSER_ROLE());
         });
 
         it("Should prevent delegation when paused", async function () {
@@ -254,52 +1665,190 @@ describe("Governance", function () {
         });
     });
 
-    describe("ETH Withdrawal", function () {
-        it("Should allow owner to withdraw ETH", async function () {
-            const { governance, owner, other } = await loadFixture(deployGovernanceFixture);
+    describe("Treasury", function () {
+        async function treasuryFixture() {
+            const result = await loadFixture(deployGovernanceFixture);
+            const { governance, owner } = result;
+
+            const Treasury = await ethers.getContractFactory("Treasury");
+            const treasury = await Treasury.deploy(await governance.getAddress());
+            await governance.setTreasury(await treasury.getAddress());
 
-            // Send ETH to contract
             const amount = ethers.parseEther("1");
-            await owner.sendTransaction({
-                to: await governance.getAddress(),
-                value: amount
-            });
+            await owner.sendTransaction({ to: await governance.getAddress(), value: amount });
 
-            const balanceBefore = await ethers.provider.getBalance(other.address);
+            return { ...result, treasury, amount };
+        }
 
-            await expect(governance.withdrawETH(other.address))
-                .to.emit(governance, "ETHWithdrawn")
-                .withArgs(other.address, amount);
+        it("Should let the treasurer sweep ETH into the treasury", async function () {
+            const { governance, treasury, amount } = await loadFixture(treasuryFixture);
 
-            const balanceAfter = await ethers.provider.getBalance(other.address);
-            expect(balanceAfter - balanceBefore).to.equal(amount);
+            const tx = governance.sweepToTreasury();
+            await expect(tx).to.emit(governance, "ETHSweptToTreasury").withArgs(await treasury.getAddress(), amount);
+            await expect(tx).to.changeEtherBalances([governance, treasury], [-amount, amount]);
         });
 
-        it("Should revert with zero recipient", async function () {
+        it("Should revert the sweep without a treasury", async function () {
             const { governance } = await loadFixture(deployGovernanceFixture);
 
-            await expect(governance.withdrawETH(ethers.ZeroAddress))
-                .to.be.revertedWith("Invalid recipient");
+            await expect(governance.sweepToTreasury()).to.be.revertedWith("Treasury not set");
+        });
+
+        it("Should revert the sweep if there is no ETH", async function () {
+            const { governance } = await loadFixture(treasuryFixture);
+
+            await governance.sweepToTreasury();
+            await expect(governance.sweepToTreasury()).to.be.revertedWith("No ETH to sweep");
+        });
+
+        it("Should leave ETH reserved by queued proposals out of the sweep", async function () {
+            const { governance, treasury, owner, proposer, voter2, other, amount } = await loadFixture(treasuryFixture);
+            const payment = ethers.parseEther("0.4");
+
+            const actions = [{ target: other.address, value: payment, signature: "", data: "0x" }];
+            await governance.connect(voter2).delegate(proposer.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            expect(await governance.reservedETH()).to.equal(payment);
+
+            await expect(governance.sweepToTreasury())
+                .to.emit(governance, "ETHSweptToTreasury")
+                .withArgs(await treasury.getAddress(), amount - payment);
+            await expect(governance.sweepToTreasury()).to.be.revertedWith("No ETH to sweep");
+
+            await expect(governance.executeProposal(proposalId)).to.changeEtherBalance(other, payment);
+            expect(await governance.reservedETH()).to.equal(0);
         });
 
-        it("Should revert if no ETH to withdraw", async function () {
+        it("Should release the reservation when a queued proposal is vetoed or expires", async function () {
+            const { governance, owner, proposer, voter2, other, guardian, amount } = await loadFixture(treasuryFixture);
+            const payment = ethers.parseEther("0.4");
+
+            const actions = [{ target: other.address, value: payment, signature: "", data: "0x" }];
+            await governance.connect(voter2).delegate(proposer.address);
+            const vetoedId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            const expiredId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+            expect(await governance.reservedETH()).to.equal(payment * 2n);
+
+            await governance.connect(guardian).vetoProposal(vetoedId, "Not needed");
+            expect(await governance.reservedETH()).to.equal(payment);
+
+            await time.increase(GRACE_PERIOD + 1);
+            await governance.settleProposalDeposit(expiredId);
+            expect(await governance.reservedETH()).to.equal(0);
+            await expect(governance.settleProposalDeposit(expiredId)).to.be.revertedWith("Nothing to settle");
+            await expect(governance.sweepToTreasury()).to.changeEtherBalance(governance, -amount);
+        });
+
+        it("Should revert if a non-treasurer tries to sweep", async function () {
+            const { governance, other } = await loadFixture(treasuryFixture);
+
+            await expect(governance.connect(other).sweepToTreasury())
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount")
+                .withArgs(other.address, await governance.TREASURER_ROLE());
+        });
+
+        it("Should only let admins set the first treasury", async function () {
             const { governance, other } = await loadFixture(deployGovernanceFixture);
 
-            await expect(governance.withdrawETH(other.address))
-                .to.be.revertedWith("No ETH to withdraw");
+            await expect(governance.connect(other).setTreasury(other.address))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+            await expect(governance.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid address");
+        });
+
+        it("Should not let an admin repoint the treasury once it is set", async function () {
+            const { governance, owner } = await loadFixture(treasuryFixture);
+
+            await expect(governance.connect(owner).setTreasury(owner.address)).to.be.revertedWith("Only governance");
+        });
+
+        it("Should repoint the treasury through an executed proposal", async function () {
+            const { governance, treasury, owner, proposer, voter2 } = await loadFixture(treasuryFixture);
+
+            const Treasury = await ethers.getContractFactory("Treasury");
+            const newTreasury = await Treasury.deploy(await governance.getAddress());
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [await newTreasury.getAddress()]);
+            await governance.connect(voter2).delegate(proposer.address);
+            await expect(executeSelfProposal(governance, owner, proposer, voter2, "setTreasury(address)", data))
+                .to.emit(governance, "TreasuryUpdated")
+                .withArgs(await treasury.getAddress(), await newTreasury.getAddress());
+            expect(await governance.treasury()).to.equal(await newTreasury.getAddress());
         });
 
-        it("Should revert if non-owner tries to withdraw", async function () {
+        it("Should pay out treasury tokens through an executed proposal", async function () {
+            const { governance, token, treasury, owner, proposer, voter2, other } = await loadFixture(treasuryFixture);
+            const grant = ethers.parseEther("500");
+            await token.mint(await treasury.getAddress(), grant);
+
+            const actions = [{
+                target: await treasury.getAddress(),
+                value: 0,
+                signature: "transferERC20(address,address,uint256)",
+                data: ethers.AbiCoder.defaultAbiCoder().encode(
+                    ["address", "address", "uint256"],
+                    [await token.getAddress(), other.address, grant]
+                )
+            }];
+            await governance.connect(voter2).delegate(proposer.address);
+            const proposalId = await passDelegatedProposal(governance, owner, proposer, voter2, actions);
+
+            await expect(governance.executeProposal(proposalId)).to.changeTokenBalance(token, other, grant);
+        });
+    });
+
+    describe("Access Control", function () {
+        it("Should make the deployer and the contract itself admins", async function () {
+            const { governance, owner, guardian } = await loadFixture(deployGovernanceFixture);
+            const adminRole = await governance.DEFAULT_ADMIN_ROLE();
+
+            expect(await governance.hasRole(adminRole, owner.address)).to.be.true;
+            expect(await governance.hasRole(adminRole, await governance.getAddress())).to.be.true;
+            expect(await governance.hasRole(await governance.GUARDIAN_ROLE(), guardian.address)).to.be.true;
+        });
+
+        it("Should keep roles separate", async function () {
             const { governance, owner, other } = await loadFixture(deployGovernanceFixture);
 
-            // Send ETH to contract
-            await owner.sendTransaction({
-                to: await governance.getAddress(),
-                value: ethers.parseEther("1")
-            });
+            await governance.grantRole(await governance.PAUSER_ROLE(), other.address);
+            await governance.revokeRole(await governance.WHITELIST_MANAGER_ROLE(), owner.address);
+
+            await expect(governance.connect(other).pause()).to.emit(governance, "Paused");
+            await expect(governance.connect(other).whitelistAddress(other.address))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+            await expect(governance.whitelistAddress(other.address))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should revert role changes from non-admins", async function () {
+            const { governance, other } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governance.connect(other).grantRole(await governance.PAUSER_ROLE(), other.address))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount")
+                .withArgs(other.address, await governance.DEFAULT_ADMIN_ROLE());
+        });
+
+        it("Should revoke roles through an executed proposal", async function () {
+            const { governance, owner, proposer, voter2, guardian } = await loadFixture(createProposalFixture);
+            const guardianRole = await governance.GUARDIAN_ROLE();
+
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [guardianRole, guardian.address]);
+            await expect(executeSelfProposal(governance, owner, proposer, voter2, "revokeRole(bytes32,address)", data))
+                .to.emit(governance, "RoleRevoked")
+                .withArgs(guardianRole, guardian.address, await governance.getAddress());
+            expect(await governance.hasRole(guardianRole, guardian.address)).to.be.false;
+        });
+
+        it("Should leave role changes to proposals once the deployer renounces admin", async function () {
+            const { governance, owner, proposer, voter2, other } = await loadFixture(createProposalFixture);
+            const adminRole = await governance.DEFAULT_ADMIN_ROLE();
+            const pauserRole = await governance.PAUSER_ROLE();
+
+            await governance.renounceRole(adminRole, owner.address);
+            await expect(governance.grantRole(pauserRole, other.address))
+                .to.be.revertedWithCustomError(governance, "AccessControlUnauthorizedAccount");
 
-            await expect(governance.connect(other).withdrawETH(other.address))
-                .to.be.revertedWith("Ownable: caller is not the owner");
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [pauserRole, other.address]);
+            await executeSelfProposal(governance, owner, proposer, voter2, "grantRole(bytes32,address)", data);
+            expect(await governance.hasRole(pauserRole, other.address)).to.be.true;
         });
     });
 
@@ -353,11 +1902,12 @@ describe("Governance", function () {
         it("Should have correct constant values", async function () {
             const { governance } = await loadFixture(deployGovernanceFixture);
 
-            expect(await governance.VOTING_DELAY()).to.equal(VOTING_DELAY);
-            expect(await governance.VOTING_PERIOD()).to.equal(VOTING_PERIOD);
-            expect(await governance.PROPOSAL_THRESHOLD()).to.equal(PROPOSAL_THRESHOLD);
-            expect(await governance.QUORUM_THRESHOLD()).to.equal(QUORUM_THRESHOLD);
-            expect(await governance.EXECUTION_DELAY()).to.equal(EXECUTION_DELAY);
+            expect(await governance.votingDelay()).to.equal(VOTING_DELAY);
+            expect(await governance.votingPeriod()).to.equal(VOTING_PERIOD);
+            expect(await governance.proposalThreshold()).to.equal(PROPOSAL_THRESHOLD);
+            expect(await governance.quorumNumerator()).to.equal(QUORUM_NUMERATOR);
+            expect(await governance.quorumCountsAbstain()).to.be.true;
+            expect(await governance.executionDelay()).to.equal(EXECUTION_DELAY);
             expect(await governance.MAX_TITLE_LENGTH()).to.equal(100);
             expect(await governance.MAX_DESCRIPTION_LENGTH()).to.equal(5000);
             expect(await governance.MAX_ACTIONS_PER_PROPOSAL()).to.equal(10);
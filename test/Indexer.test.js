@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VOTING_DELAY, VOTING_PERIOD, EXECUTION_DELAY, deployGovernanceWithToken } = require("./helpers/governance");
+const {
+    createStore,
+    indexEvents,
+    runIndexer,
+    loadCheckpoint,
+    exportProposal,
+    exportAll
+} = require("../scripts/lib/indexer");
+
+describe("Indexer", function () {
+    let outputDir;
+
+    beforeEach(function () {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-indexer-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    function indexerFiles() {
+        return {
+            storeFile: path.join(outputDir, "store.json"),
+            checkpointFile: path.join(outputDir, "checkpoint.json")
+        };
+    }
+
+    // One executed proposal with a delegation, two ballots and a vote with a CSV-unfriendly reason
+    async function governanceHistoryFixture() {
+        const [owner, proposer, voter1, voter2, guardian] = await ethers.getSigners();
+
+        const { token, governance } = await deployGovernanceWithToken(hre, { guardian: guardian.address });
+        const startBlock = (await governance.deploymentTransaction().wait()).blockNumber;
+
+        await token.mint(owner.address, ethers.parseEther("50000"));
+        await token.mint(voter1.address, ethers.parseEther("3000"));
+        await governance.grantRole(await governance.WHITELIST_MANAGER_ROLE(), owner.address);
+        await governance.whitelistAddress(proposer.address);
+
+        await governance.connect(voter1).delegate(proposer.address);
+        await governance.connect(owner).delegate(voter2.address);
+
+        const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+        await governance.connect(proposer).createProposal("Fund grants", "Description", actions);
+
+        await time.increase(VOTING_DELAY);
+        await governance.connect(voter2).vote(1, 1, 'Yes, "ship it"');
+        await governance.connect(proposer).vote(1, 0, "");
+        await time.increase(VOTING_PERIOD);
+        await governance.queueProposal(1);
+        await time.increase(EXECUTION_DELAY);
+        await governance.executeProposal(1);
+
+        return { governance, token, owner, proposer, voter1, voter2, startBlock };
+    }
+
+    it("Should build proposal, vote, delegation and power history", async function () {
+        const { governance, proposer, voter1, voter2, startBlock } = await loadFixture(governanceHistoryFixture);
+
+        const store = await indexEvents(governance, {
+            store: createStore(),
+            fromBlock: startBlock,
+            toBlock: await ethers.provider.getBlockNumber(),
+            batchSize: 3
+        });
+
+        const proposal = store.proposals["1"];
+        expect(proposal.proposer).to.equal(proposer.address);
+        expect(proposal.title).to.equal("Fund grants");
+        expect(proposal.status).to.equal("Executed");
+        expect(proposal.eta).to.be.greaterThan(proposal.endTime);
+
+        const votes = Object.values(store.votes);
+        expect(votes.map((vote) => [vote.voter, vote.support])).to.deep.equal([
+            [voter2.address, "For"],
+            [proposer.address, "Against"]
+        ]);
+        expect(votes[0].weight).to.equal(ethers.parseEther("50000").toString());
+
+        const delegations = Object.values(store.delegations);
+        expect(delegations).to.have.length(2);
+        expect(delegations[0]).to.include({ delegator: voter1.address, delegatee: proposer.address, shareBps: 10000 });
+
+        const powerUpdates = Object.values(store.votingPower).filter((update) => update.account === voter2.address);
+        expect(powerUpdates).to.have.length(1);
+        expect(powerUpdates[0].newPower).to.equal(ethers.parseEther("50000").toString());
+    });
+
+    it("Should record every share of a delegateMulti split", async function () {
+        const { governance, proposer, voter1, voter2 } = await loadFixture(governanceHistoryFixture);
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        await governance.connect(voter1).delegateMulti([proposer.address, voter2.address], [6000, 2500]);
+        await governance.connect(voter1).delegateMulti([voter2.address], [10000]);
+
+        const store = await indexEvents(governance, {
+            store: createStore(),
+            fromBlock,
+            toBlock: await ethers.provider.getBlockNumber()
+        });
+
+        // Each split first removes the previous delegatees (share 0), then adds the new ones
+        const shares = Object.values(store.delegations).map((record) => [record.delegator, record.delegatee, record.shareBps]);
+        expect(shares).to.deep.equal([
+            [voter1.address, proposer.address, 0],
+            [voter1.address, proposer.address, 6000],
+            [voter1.address, voter2.address, 2500],
+            [voter1.address, proposer.address, 0],
+            [voter1.address, voter2.address, 0],
+            [voter1.address, voter2.address, 10000]
+        ]);
+    });
+
+    it("Should resume from the checkpoint without duplicating records", async function () {
+        const { governance, proposer, voter2, startBlock } = await loadFixture(governanceHistoryFixture);
+        const files = indexerFiles();
+
+        const first = await runIndexer(governance, { ...files, startBlock, batchSize: 4, confirmations: 0 });
+        expect(first.fromBlock).to.equal(startBlock);
+        expect(loadCheckpoint(files.checkpointFile)).to.equal(first.toBlock);
+
+        const actions = [{ target: voter2.address, value: 0, signature: "", data: "0x" }];
+        await governance.connect(proposer).createProposal("Second", "Description", actions);
+        await governance.connect(proposer).cancelProposal(2);
+
+        const second = await runIndexer(governance, { ...files, startBlock, batchSize: 4, confirmations: 0 });
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(second.store.proposals["2"].status).to.equal("Cancelled");
+        expect(Object.keys(second.store.votes)).to.have.length(2);
+
+        const third = await runIndexer(governance, { ...files, startBlock, confirmations: 0 });
+        expect(third.fromBlock).to.be.greaterThan(third.toBlock);
+        expect(JSON.parse(fs.readFileSync(files.storeFile, "utf8"))).to.deep.equal(second.store);
+    });
+
+    it("Should leave blocks within the confirmation depth for a later run", async function () {
+        const { governance, startBlock } = await loadFixture(governanceHistoryFixture);
+        const files = indexerFiles();
+        const head = await ethers.provider.getBlockNumber();
+
+        // The execution is in the head block, which three confirmations keep out of the store
+        const first = await runIndexer(governance, { ...files, startBlock, confirmations: 3 });
+        expect(first.toBlock).to.equal(head - 3);
+        expect(loadCheckpoint(files.checkpointFile)).to.equal(head - 3);
+        expect(first.store.proposals["1"].status).to.not.equal("Executed");
+
+        await mine(3);
+        const second = await runIndexer(governance, { ...files, startBlock, confirmations: 3 });
+        expect(second.fromBlock).to.equal(head - 2);
+        expect(second.store.proposals["1"].status).to.equal("Executed");
+    });
+
+    it("Should export proposal reports as JSON and CSV", async function () {
+        const { governance, voter2, startBlock } = await loadFixture(governanceHistoryFixture);
+        const { store } = await runIndexer(governance, { ...indexerFiles(), startBlock, confirmations: 0 });
+
+        const report = JSON.parse(exportProposal(store, 1, "json"));
+        expect(report.proposal.status).to.equal("Executed");
+        expect(report.votes).to.have.length(2);
+
+        const lines = exportProposal(store, 1, "csv").trim().split("\n");
+        expect(lines[0]).to.equal("proposalId,voter,support,weight,forWeight,againstWeight,abstainWeight,reason,retracted,blockNumber,transactionHash");
+        expect(lines).to.have.length(3);
+        expect(lines[1]).to.contain(`1,${voter2.address},For,`);
+        expect(lines[1]).to.contain('"Yes, ""ship it"""');
+
+        expect(() => exportProposal(store, 1, "xml")).to.throw('Unsupported export format "xml"');
+        expect(() => exportProposal(store, 9, "json")).to.throw();
+
+        const written = exportAll(store, path.join(outputDir, "reports"), "csv");
+        expect(written.map((file) => path.basename(file))).to.deep.equal(["proposal-1.csv"]);
+    });
+});
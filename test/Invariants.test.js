@@ -0,0 +1,568 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const path = require("path");
+const {
+    VOTING_DELAY,
+    VOTING_PERIOD,
+    EXECUTION_DELAY,
+    GRACE_PERIOD,
+    PROPOSAL_THRESHOLD,
+    QUORUM_NUMERATOR,
+    deployGovernanceWithToken
+} = require("./helpers/governance");
+
+// Randomized sequences of token transfers, delegations, votes, queueing, cancellation and execution,
+// checked against a model of the voting power ledger after every step. Reproduce a failure with
+//   FUZZ_SEED=<seed> FUZZ_RUNS=1 npx hardhat test test/Invariants.test.js
+// REPORT_GAS=true also prints gas per entrypoint and writes it to gas-snapshot.json; GAS_CHECK=true
+// instead fails when any entrypoint differs from the committed snapshot by more than GAS_TOLERANCE percent.
+describe("Invariants", function () {
+    const SHARE_DENOMINATOR = 10000n;
+    const ACCOUNT_COUNT = 6;
+    const BLOCK_TIME = 12;
+
+    const SEED = Number(process.env.FUZZ_SEED || 1);
+    const RUNS = Number(process.env.FUZZ_RUNS || 3);
+    const STEPS = Number(process.env.FUZZ_STEPS || 100);
+    const GAS_SNAPSHOT_FILE = path.join(__dirname, "../gas-snapshot.json");
+    const GAS_TOLERANCE = Number(process.env.GAS_TOLERANCE || 2);
+
+    this.timeout(10 * 60 * 1000);
+
+    // Gas used per entrypoint across every run: name => { calls, min, max, total }
+    const gasUsage = new Map();
+
+    async function deployInvariantFixture() {
+        const signers = await ethers.getSigners();
+        const accounts = signers.slice(0, ACCOUNT_COUNT);
+        // The guardian is outside the modelled accounts: it only vetoes
+        const guardian = signers[ACCOUNT_COUNT];
+
+        const { token, governance } = await deployGovernanceWithToken(hre, {
+            tokenContract: "MockGovernanceToken",
+            guardian: guardian.address
+        });
+        await token.setGovernance(await governance.getAddress());
+
+        return { token, governance, accounts, owner: accounts[0], guardian };
+    }
+
+    // mulberry32: small, fast and reproducible across Node versions
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        const next = () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const int = (max) => Math.floor(next() * max);
+        return { int, pick: (items) => items[int(items.length)] };
+    }
+
+    function recordGas(name, gasUsed) {
+        const usage = gasUsage.get(name) || { calls: 0, min: gasUsed, max: gasUsed, total: 0n };
+        usage.calls += 1;
+        usage.min = gasUsed < usage.min ? gasUsed : usage.min;
+        usage.max = gasUsed > usage.max ? gasUsed : usage.max;
+        usage.total += gasUsed;
+        gasUsage.set(name, usage);
+    }
+
+    /**
+     * Independent model of balances, delegation splits and proposals, and the checks
+     * that the contract agrees with it
+     */
+    function createModel(accounts) {
+        const addresses = accounts.map((account) => account.address);
+        const balances = new Map(addresses.map((address) => [address, 0n]));
+        const shares = new Map(addresses.map((address) => [address, []]));
+        const history = [];
+
+        function delegatedVotes(address) {
+            const balance = balances.get(address);
+            return shares.get(address).reduce((sum, share) => sum + (balance * share.bps) / SHARE_DENOMINATOR, 0n);
+        }
+
+        function powers() {
+            const power = new Map(addresses.map((address) => [address, 0n]));
+            for (const address of addresses) {
+                const balance = balances.get(address);
+                for (const share of shares.get(address)) {
+                    power.set(share.delegatee, power.get(share.delegatee) + (balance * share.bps) / SHARE_DENOMINATOR);
+                }
+                power.set(address, power.get(address) + balance - delegatedVotes(address));
+            }
+            return power;
+        }
+
+        return {
+            addresses,
+            balances,
+            shares,
+            proposals: [],
+            totalSupply: 0n,
+            delegatedVotes,
+            powers,
+            // Voting power is checkpointed per block; remember the model's view after each one
+            recordBlock(blockNumber) {
+                history.push({ blockNumber, power: powers() });
+            },
+            pastPower(address, blockNumber) {
+                for (let i = history.length - 1; i >= 0; i--) {
+                    if (history[i].blockNumber <= blockNumber) {
+                        return history[i].power.get(address);
+                    }
+                }
+                return 0n;
+            }
+        };
+    }
+
+    async function checkInvariants({ token, governance }, model) {
+        const expectedPower = model.powers();
+        let totalPower = 0n;
+
+        for (const address of model.addresses) {
+            const power = await governance.votingPower(address);
+            expect(power, `voting power of ${address}`).to.equal(expectedPower.get(address));
+            totalPower += power;
+
+            // Total delegated power equals the sum of the delegated shares of the balance
+            const delegations = await governance.getDelegations(address);
+            const delegated = delegations.reduce((sum, delegation) => sum + delegation.votes, 0n);
+            expect((await governance.delegates(address)).delegatedVotes, `delegated votes of ${address}`).to.equal(delegated);
+            expect(delegated, `delegated votes of ${address}`).to.equal(model.delegatedVotes(address));
+        }
+
+        // Delegation only moves power around: every token counts exactly once
+        expect(await token.totalSupply()).to.equal(model.totalSupply);
+        expect(totalPower, "total voting power").to.equal(model.totalSupply);
+
+        for (const proposal of model.proposals) {
+            const details = await governance.getProposalDetails(proposal.id);
+            const tallies = [0n, 0n, 0n];
+
+            for (const address of model.addresses) {
+                const receipt = await governance.getReceipt(proposal.id, address);
+                const ballot = proposal.ballots.get(address);
+                expect(receipt.hasVoted, `receipt of ${address} on ${proposal.id}`).to.equal(ballot !== undefined);
+                if (!ballot) {
+                    continue;
+                }
+
+                expect(receipt.support).to.equal(ballot.support);
+                expect(receipt.weight).to.equal(ballot.weight);
+                expect(receipt.weight).to.equal(await governance.getPastVotingPower(address, proposal.snapshot));
+                tallies[ballot.support] += ballot.weight;
+            }
+
+            // Tallies equal the sum of the receipts
+            expect(details.againstVotes, `against votes on ${proposal.id}`).to.equal(tallies[0]);
+            expect(details.forVotes, `for votes on ${proposal.id}`).to.equal(tallies[1]);
+            expect(details.abstainVotes, `abstain votes on ${proposal.id}`).to.equal(tallies[2]);
+            expect(details.quorumVotes).to.equal(proposal.quorumVotes);
+        }
+    }
+
+    /**
+     * Drive one randomized sequence. Every action predicts whether the contract accepts it,
+     * and the exact revert reason when it does not.
+     */
+    async function runSequence(fixture, random, log) {
+        const { token, governance, accounts, owner } = fixture;
+        const model = createModel(accounts);
+        let clock = await time.latest();
+        let outcome = "";
+
+        const holders = () => accounts.filter((account) => model.balances.get(account.address) > 0n);
+        const fraction = (amount) => (amount * BigInt(1 + random.int(100))) / 100n;
+
+        // Mostly a proposal where the call can succeed, so sequences reach every stage of the lifecycle;
+        // otherwise any proposal, to exercise the reverts
+        function pickProposal(canSucceed) {
+            const candidates = model.proposals.filter((proposal) => canSucceed(proposal, clock + BLOCK_TIME));
+            return candidates.length > 0 && random.int(4) > 0 ? random.pick(candidates) : random.pick(model.proposals);
+        }
+
+        // Send a transaction in the next block at `clock`, expecting it to revert with `expectedRevert` if given
+        async function send(name, transaction, expectedRevert) {
+            clock += BLOCK_TIME;
+            await time.setNextBlockTimestamp(clock);
+            if (expectedRevert) {
+                await expect(transaction()).to.be.revertedWith(expectedRevert);
+                outcome = ` (reverted: ${expectedRevert})`;
+                return null;
+            }
+
+            const receipt = await (await transaction()).wait();
+            recordGas(name, receipt.gasUsed);
+            return receipt;
+        }
+
+        // Apply a mined transaction to the model and remember the resulting voting power
+        function settle(receipt, update) {
+            if (receipt) {
+                update();
+                model.recordBlock(receipt.blockNumber);
+            }
+        }
+
+        const actions = [
+            [3, async function transfer() {
+                const from = random.pick(holders());
+                if (!from) {
+                    return "transfer skipped: no holders";
+                }
+                const to = random.pick(accounts);
+                const amount = fraction(model.balances.get(from.address));
+
+                const receipt = await send("token.transfer", () => token.connect(from).transfer(to.address, amount));
+                settle(receipt, () => {
+                    model.balances.set(from.address, model.balances.get(from.address) - amount);
+                    model.balances.set(to.address, model.balances.get(to.address) + amount);
+                });
+                return `transfer ${amount} ${from.address} -> ${to.address}`;
+            }],
+            [1, async function mint() {
+                const to = random.pick(accounts);
+                const amount = ethers.parseEther(String(1 + random.int(5000)));
+
+                const receipt = await send("token.mint", () => token.mint(to.address, amount));
+                settle(receipt, () => {
+                    model.balances.set(to.address, model.balances.get(to.address) + amount);
+                    model.totalSupply += amount;
+                });
+                return `mint ${amount} -> ${to.address}`;
+            }],
+            [1, async function burn() {
+                const from = random.pick(holders());
+                if (!from) {
+                    return "burn skipped: no holders";
+                }
+                const amount = fraction(model.balances.get(from.address));
+
+                const receipt = await send("token.burn", () => token.burn(from.address, amount));
+                settle(receipt, () => {
+                    model.balances.set(from.address, model.balances.get(from.address) - amount);
+                    model.totalSupply -= amount;
+                });
+                return `burn ${amount} from ${from.address}`;
+            }],
+            [3, async function delegate() {
+                const delegator = random.pick(accounts);
+                const delegatee = random.pick(accounts);
+                const expectedRevert = delegator === delegatee ? "Cannot delegate to self" : undefined;
+
+                const receipt = await send("delegate", () => governance.connect(delegator).delegate(delegatee.address), expectedRevert);
+                settle(receipt, () => {
+                    model.shares.set(delegator.address, [{ delegatee: delegatee.address, bps: SHARE_DENOMINATOR }]);
+                });
+                return `delegate ${delegator.address} -> ${delegatee.address}`;
+            }],
+            [2, async function delegateMulti() {
+                const delegator = random.pick(accounts);
+                const candidates = accounts.filter((account) => account !== delegator);
+                const count = 1 + random.int(3);
+                const split = [];
+                while (split.length < count) {
+                    const delegatee = random.pick(candidates);
+                    if (!split.some((share) => share.delegatee === delegatee.address)) {
+                        // Each share is at most 1/count of the balance, so the split never exceeds it
+                        split.push({ delegatee: delegatee.address, bps: BigInt(1 + random.int(Number(SHARE_DENOMINATOR) / count)) });
+                    }
+                }
+
+                const receipt = await send("delegateMulti", () => governance.connect(delegator).delegateMulti(
+                    split.map((share) => share.delegatee),
+                    split.map((share) => share.bps)
+                ));
+                settle(receipt, () => model.shares.set(delegator.address, split));
+                return `delegateMulti ${delegator.address} -> ${split.map((share) => `${share.delegatee}:${share.bps}`).join(",")}`;
+            }],
+            [1, async function undelegate() {
+                const delegator = random.pick(accounts);
+                const expectedRevert = model.shares.get(delegator.address).length === 0 ? "Not delegated" : undefined;
+
+                const receipt = await send("undelegate", () => governance.connect(delegator).undelegate(), expectedRevert);
+                settle(receipt, () => model.shares.set(delegator.address, []));
+                return `undelegate ${delegator.address}`;
+            }],
+            [2, async function propose() {
+                const expectedRevert = model.powers().get(owner.address) < PROPOSAL_THRESHOLD ? "Insufficient voting power" : undefined;
+                const action = { target: accounts[1].address, value: 0, signature: "", data: "0x" };
+
+                const receipt = await send("createProposal", () => governance.createProposal("Fuzz", "Randomized proposal", [action]), expectedRevert);
+                settle(receipt, () => {
+                    model.proposals.push({
+                        id: BigInt(model.proposals.length + 1),
+                        snapshot: receipt.blockNumber - 1,
+                        startTime: clock + VOTING_DELAY,
+                        endTime: clock + VOTING_DELAY + VOTING_PERIOD,
+                        quorumVotes: (model.totalSupply * QUORUM_NUMERATOR) / SHARE_DENOMINATOR,
+                        ballots: new Map(),
+                        eta: 0,
+                        executed: false,
+                        cancelled: false
+                    });
+                });
+                return "createProposal";
+            }],
+            [6, async function vote() {
+                const proposal = pickProposal((candidate, now) =>
+                    now >= candidate.startTime && now <= candidate.endTime && !candidate.cancelled);
+                if (!proposal) {
+                    return "vote skipped: no proposals";
+                }
+                const voter = random.pick(accounts);
+                // Lean towards for, so that some proposals pass
+                const support = random.pick([1, 1, 0, 2]);
+                const weight = model.pastPower(voter.address, proposal.snapshot);
+                const now = clock + BLOCK_TIME;
+
+                let expectedRevert;
+                if (now < proposal.startTime) expectedRevert = "Voting not started";
+                else if (now > proposal.endTime) expectedRevert = "Voting ended";
+                else if (proposal.executed) expectedRevert = "Proposal executed";
+                else if (proposal.cancelled) expectedRevert = "Proposal cancelled";
+                else if (proposal.ballots.has(voter.address)) expectedRevert = "Already voted"; // No account votes twice
+                else if (weight === 0n) expectedRevert = "No voting power";
+
+                const receipt = await send("vote", () => governance.connect(voter).vote(proposal.id, support, ""), expectedRevert);
+                settle(receipt, () => proposal.ballots.set(voter.address, { support, weight }));
+                return `vote ${voter.address} on ${proposal.id}: ${support}`;
+            }],
+            [3, async function queue() {
+                const proposal = pickProposal((candidate, now) =>
+                    now > candidate.endTime && !candidate.cancelled && candidate.eta === 0 && candidate.ballots.size > 0);
+                if (!proposal) {
+                    return "queue skipped: no proposals";
+                }
+                const tallies = [0n, 0n, 0n];
+                for (const ballot of proposal.ballots.values()) {
+                    tallies[ballot.support] += ballot.weight;
+                }
+                const now = clock + BLOCK_TIME;
+
+                let expectedRevert;
+                if (now <= proposal.endTime) expectedRevert = "Voting not ended";
+                else if (proposal.cancelled) expectedRevert = "Proposal cancelled";
+                else if (proposal.eta !== 0) expectedRevert = "Proposal already queued";
+                else if (tallies[1] <= tallies[0]) expectedRevert = "Proposal not passed";
+                else if (tallies[0] + tallies[1] + tallies[2] < proposal.quorumVotes) expectedRevert = "Quorum not met";
+
+                const receipt = await send("queueProposal", () => governance.queueProposal(proposal.id), expectedRevert);
+                settle(receipt, () => {
+                    proposal.eta = now + EXECUTION_DELAY;
+                });
+                return `queue ${proposal.id}`;
+            }],
+            [3, async function execute() {
+                const proposal = pickProposal((candidate, now) =>
+                    candidate.eta !== 0 && now >= candidate.eta && !candidate.executed && !candidate.cancelled);
+                if (!proposal) {
+                    return "execute skipped: no proposals";
+                }
+                const now = clock + BLOCK_TIME;
+
+                let expectedRevert;
+                if (proposal.eta === 0) expectedRevert = "Proposal not queued";
+                else if (now < proposal.eta) expectedRevert = "Execution delay not met";
+                else if (now > proposal.eta + GRACE_PERIOD) expectedRevert = "Proposal expired";
+                else if (proposal.executed) expectedRevert = "Proposal executed";
+                else if (proposal.cancelled) expectedRevert = "Proposal cancelled";
+
+                const receipt = await send("executeProposal", () => governance.executeProposal(proposal.id), expectedRevert);
+                settle(receipt, () => {
+                    proposal.executed = true;
+                });
+                return `execute ${proposal.id}`;
+            }],
+            [1, async function cancel() {
+                const proposal = random.pick(model.proposals);
+                if (!proposal) {
+                    return "cancel skipped: no proposals";
+                }
+                const caller = random.int(2) === 0 ? owner : random.pick(accounts);
+                // The owner proposed everything and is admin; anyone else needs the proposer below the threshold
+                const latestBlock = await ethers.provider.getBlockNumber();
+                const authorized = caller === owner || model.pastPower(owner.address, latestBlock) < PROPOSAL_THRESHOLD;
+
+                let expectedRevert;
+                if (!authorized) expectedRevert = "Not authorized to cancel";
+                else if (proposal.executed) expectedRevert = "Proposal executed";
+                else if (proposal.cancelled) expectedRevert = "Proposal cancelled";
+
+                const receipt = await send("cancelProposal", () => governance.connect(caller).cancelProposal(proposal.id), expectedRevert);
+                settle(receipt, () => {
+                    proposal.cancelled = true;
+                });
+                return `cancel ${proposal.id} by ${caller.address}`;
+            }],
+            [6, async function advanceTime() {
+                // Short steps so proposals spend several steps in each stage; queued proposals still expire eventually
+                const HOUR = 60 * 60;
+                clock += random.pick([HOUR, 12 * HOUR, 24 * HOUR, 24 * HOUR]);
+                await time.increaseTo(clock);
+                model.recordBlock(await ethers.provider.getBlockNumber());
+                return `advance to ${clock}`;
+            }]
+        ];
+        const totalWeight = actions.reduce((sum, [weight]) => sum + weight, 0);
+
+        function pickAction() {
+            let roll = random.int(totalWeight);
+            for (const [weight, action] of actions) {
+                if (roll < weight) {
+                    return action;
+                }
+                roll -= weight;
+            }
+        }
+
+        // Every account starts with a balance; the proposer has enough to propose
+        for (const account of accounts) {
+            const amount = account === owner ? PROPOSAL_THRESHOLD * 20n : ethers.parseEther(String(1 + random.int(5000)));
+            const receipt = await send("token.mint", () => token.mint(account.address, amount));
+            settle(receipt, () => {
+                model.balances.set(account.address, amount);
+                model.totalSupply += amount;
+            });
+        }
+
+        for (let step = 0; step < STEPS; step++) {
+            const action = pickAction();
+            outcome = "";
+            const description = await action();
+            log.push(`${step}: ${description}${outcome}`);
+            await checkInvariants(fixture, model);
+        }
+    }
+
+    for (let run = 0; run < RUNS; run++) {
+        const seed = SEED + run;
+
+        it(`Should keep power and tallies consistent over a random sequence (seed ${seed})`, async function () {
+            const fixture = await loadFixture(deployInvariantFixture);
+            const log = [];
+
+            try {
+                await runSequence(fixture, createRandom(seed), log);
+            } catch (error) {
+                error.message = `seed ${seed}, after:\n  ${log.slice(-10).join("\n  ")}\n${error.message}`;
+                throw error;
+            }
+        });
+    }
+
+    // The random sequences rarely reach queue, execute and cancel, and never veto, so walk one fixed
+    // lifecycle through all of them as well; it keeps every entrypoint in the gas snapshot
+    it("Should keep tallies consistent through queue, execute, cancel and veto", async function () {
+        const { token, governance, accounts, owner, guardian } = await loadFixture(deployInvariantFixture);
+        const [, voter1, voter2] = accounts;
+        const action = { target: voter1.address, value: 0, signature: "", data: "0x" };
+
+        async function send(name, transaction) {
+            const receipt = await (await transaction()).wait();
+            recordGas(name, receipt.gasUsed);
+            return receipt;
+        }
+
+        await send("token.mint", () => token.mint(owner.address, PROPOSAL_THRESHOLD * 20n));
+        await send("token.mint", () => token.mint(voter1.address, PROPOSAL_THRESHOLD));
+        await send("token.mint", () => token.mint(voter2.address, PROPOSAL_THRESHOLD));
+        await send("delegate", () => governance.connect(voter2).delegate(voter1.address));
+
+        // 1 is executed, 2 is vetoed once queued, 3 is vetoed while active and 4 is cancelled
+        const proposalIds = [1n, 2n, 3n, 4n];
+        for (const proposalId of proposalIds) {
+            await send("createProposal", () => governance.createProposal(`Lifecycle ${proposalId}`, "Fixed sequence", [action]));
+        }
+
+        await time.increase(VOTING_DELAY + 1);
+        for (const proposalId of proposalIds) {
+            await send("vote", () => governance.vote(proposalId, 1, ""));
+            await send("vote", () => governance.connect(voter1).vote(proposalId, proposalId === 2n ? 2 : 0, ""));
+        }
+        await send("vetoProposal", () => governance.connect(guardian).vetoProposal(3n, "Vetoed while active"));
+        await send("cancelProposal", () => governance.cancelProposal(4n));
+
+        await time.increase(VOTING_PERIOD);
+        await send("queueProposal", () => governance.queueProposal(1n));
+        await send("queueProposal", () => governance.queueProposal(2n));
+        await send("vetoProposal", () => governance.connect(guardian).vetoProposal(2n, "Vetoed once queued"));
+
+        await time.increase(EXECUTION_DELAY);
+        await send("executeProposal", () => governance.executeProposal(1n));
+
+        for (const proposalId of proposalIds) {
+            const details = await governance.getProposalDetails(proposalId);
+            expect(details.forVotes, `for votes on ${proposalId}`).to.equal(PROPOSAL_THRESHOLD * 20n);
+            expect(details.againstVotes + details.abstainVotes, `other votes on ${proposalId}`).to.equal(PROPOSAL_THRESHOLD * 2n);
+        }
+        expect(await governance.state(1n)).to.equal(8); // Executed
+        expect(await governance.state(2n)).to.equal(9); // Vetoed
+        expect(await governance.state(3n)).to.equal(9); // Vetoed
+        expect(await governance.state(4n)).to.equal(2); // Cancelled
+    });
+
+    function gasReport() {
+        const report = {};
+        for (const name of [...gasUsage.keys()].sort()) {
+            const usage = gasUsage.get(name);
+            report[name] = {
+                calls: usage.calls,
+                min: Number(usage.min),
+                avg: Number(usage.total / BigInt(usage.calls)),
+                max: Number(usage.max)
+            };
+        }
+        return report;
+    }
+
+    // Entrypoints missing from either side, or whose average or maximum moved by more than the tolerance
+    function compareGas(snapshot, report) {
+        const differences = [];
+        for (const name of new Set([...Object.keys(snapshot.gas), ...Object.keys(report)])) {
+            const expected = snapshot.gas[name];
+            const actual = report[name];
+            if (!expected || !actual) {
+                differences.push(`${name}: ${expected ? "no longer called" : "not in the snapshot"}`);
+                continue;
+            }
+            for (const key of ["avg", "max"]) {
+                const change = ((actual[key] - expected[key]) * 100) / expected[key];
+                if (Math.abs(change) > GAS_TOLERANCE) {
+                    differences.push(`${name} ${key}: ${expected[key]} -> ${actual[key]} (${change.toFixed(2)}%)`);
+                }
+            }
+        }
+        return differences;
+    }
+
+    after(function () {
+        if (gasUsage.size === 0) {
+            return;
+        }
+        const report = gasReport();
+
+        if (process.env.GAS_CHECK) {
+            const snapshot = JSON.parse(fs.readFileSync(GAS_SNAPSHOT_FILE, "utf8"));
+            expect({ seed: SEED, runs: RUNS, steps: STEPS }, "the snapshot's sequences")
+                .to.deep.equal({ seed: snapshot.seed, runs: snapshot.runs, steps: snapshot.steps });
+
+            const differences = compareGas(snapshot, report);
+            expect(differences, `gas differs from gas-snapshot.json by more than ${GAS_TOLERANCE}% ` +
+                "(regenerate it with npm run test:gas if intended)").to.deep.equal([]);
+        }
+
+        if (process.env.REPORT_GAS) {
+            console.table(report);
+            fs.writeFileSync(GAS_SNAPSHOT_FILE, JSON.stringify({ seed: SEED, runs: RUNS, steps: STEPS, gas: report }, null, 2) + "\n");
+        }
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VOTING_DELAY, VOTING_PERIOD, EXECUTION_DELAY, deployGovernanceWithToken } = require("./helpers/governance");
+const { encodeAction, decodeAction, loadProposalFile, parseValue } = require("../scripts/lib/actions");
+
+describe("Governance tasks", function () {
+    let workDir;
+    let output;
+    let originalLog;
+    let originalTable;
+
+    // Capture task output instead of printing it between test results
+    beforeEach(function () {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-tasks-"));
+        output = [];
+        originalLog = console.log;
+        originalTable = console.table;
+        console.log = (...args) => output.push(args.join(" "));
+        console.table = (rows) => output.push(JSON.stringify(rows));
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        console.table = originalTable;
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    async function deployGovernanceFixture() {
+        const [owner, voter, holder] = await ethers.getSigners();
+
+        const { token, governance } = await deployGovernanceWithToken(hre);
+
+        await token.mint(owner.address, ethers.parseEther("50000"));
+        await token.mint(holder.address, ethers.parseEther("50000"));
+        // The holder's delegation gives the owner, who runs the tasks, power to propose and vote
+        await governance.connect(holder).delegate(owner.address);
+        return { governance, token, owner, voter, address: await governance.getAddress() };
+    }
+
+    function writeProposal(name, contents) {
+        const file = path.join(workDir, name);
+        fs.writeFileSync(file, contents);
+        return file;
+    }
+
+    async function mintProposalFile(token, voter) {
+        return writeProposal("proposal.yaml", [
+            "title: Mint grant tokens",
+            "description: Mint 25 GOV to a contributor",
+            "executionMode: best-effort",
+            "actions:",
+            `  - target: "${await token.getAddress()}"`,
+            "    signature: mint(address,uint256)",
+            `    args: ["${voter.address}", "25000000000000000000"]`
+        ].join("\n"));
+    }
+
+    describe("Action files", function () {
+        it("Should encode human-readable actions and decode them back", async function () {
+            const [, recipient] = await ethers.getSigners();
+            const action = encodeAction({
+                target: recipient.address,
+                value: "0.5 ether",
+                signature: "transfer(address,uint256)",
+                args: [recipient.address, 7]
+            });
+
+            expect(action.value).to.equal(ethers.parseEther("0.5"));
+            expect(decodeAction(action).call).to.equal(`transfer(address=${recipient.address}, uint256=7)`);
+            expect(decodeAction({ target: recipient.address, value: 1n, signature: "", data: "0x" }).call)
+                .to.equal("(transfer)");
+            expect(parseValue(undefined)).to.equal(0n);
+        });
+
+        it("Should reject malformed actions", async function () {
+            const [, recipient] = await ethers.getSigners();
+
+            expect(() => encodeAction({ target: "0x1234" })).to.throw('invalid target "0x1234"');
+            expect(() => encodeAction({ target: recipient.address, signature: "transfer(address, uint256)", args: [] }))
+                .to.throw('signature must be canonical, e.g. "transfer(address,uint256)"');
+            expect(() => encodeAction({ target: recipient.address, signature: "transfer(address,uint256)", args: [] }))
+                .to.throw("takes 2 arguments, got 0");
+        });
+
+        it("Should load JSON and YAML proposal files", async function () {
+            const [, recipient] = await ethers.getSigners();
+            const jsonFile = writeProposal("proposal.json", JSON.stringify({
+                title: "Pay",
+                description: "Send ETH",
+                actions: [{ target: recipient.address, value: "1 ether" }]
+            }));
+
+            const proposal = loadProposalFile(jsonFile);
+            expect(proposal.executionMode).to.equal(0);
+            expect(proposal.actions[0]).to.deep.equal({ target: recipient.address, value: ethers.parseEther("1"), signature: "", data: "0x" });
+
+            const yamlFile = writeProposal("empty.yml", "title: Empty\nactions: []\n");
+            expect(() => loadProposalFile(yamlFile)).to.throw('must define a non-empty "actions" list');
+            const modeFile = writeProposal("mode.yml", `title: Bad\nexecutionMode: eager\nactions:\n  - target: "${recipient.address}"\n`);
+            expect(() => loadProposalFile(modeFile)).to.throw('Unknown execution mode "eager"');
+        });
+    });
+
+    describe("Tasks", function () {
+        it("Should simulate a proposal without creating it", async function () {
+            const { governance, token, voter, address } = await loadFixture(deployGovernanceFixture);
+
+            const proposalId = await hre.run("gov:propose", { file: await mintProposalFile(token, voter), governance: address });
+
+            expect(proposalId).to.equal(1);
+            expect(await governance.getTotalProposalCount()).to.equal(0);
+            expect(output.join("\n")).to.contain(`mint(address=${voter.address}, uint256=25000000000000000000)`);
+        });
+
+        it("Should run a proposal through its lifecycle with --send", async function () {
+            const { governance, token, voter, address } = await loadFixture(deployGovernanceFixture);
+            const file = await mintProposalFile(token, voter);
+
+            await hre.run("gov:propose", { file, governance: address, send: true });
+            expect(await governance.getTotalProposalCount()).to.equal(1);
+            expect(await hre.run("gov:state", { id: 1, governance: address })).to.equal("Pending");
+
+            await time.increase(VOTING_DELAY);
+            await hre.run("gov:vote", { id: 1, support: "for", reason: "", governance: address, send: true });
+            await time.increase(VOTING_PERIOD);
+            await hre.run("gov:queue", { id: 1, governance: address });
+            expect(await hre.run("gov:state", { id: 1, governance: address })).to.equal("Succeeded");
+            await hre.run("gov:queue", { id: 1, governance: address, send: true });
+            expect(await hre.run("gov:state", { id: 1, governance: address })).to.equal("Queued");
+            await time.increase(EXECUTION_DELAY);
+
+            await hre.run("gov:execute", { id: 1, governance: address, send: true });
+            expect(await token.balanceOf(voter.address)).to.equal(ethers.parseEther("25"));
+            expect(await hre.run("gov:state", { id: 1, governance: address })).to.equal("Executed");
+        });
+
+        it("Should leave state unchanged on dry runs", async function () {
+            const { governance, voter, address } = await loadFixture(deployGovernanceFixture);
+
+            await hre.run("gov:delegate", { to: voter.address, governance: address });
+            expect(await governance.getVotingPower(voter.address)).to.equal(0);
+            expect(output.join("\n")).to.contain("Dry run: delegate would succeed");
+
+            await hre.run("gov:delegate", { to: voter.address, governance: address, send: true });
+            expect(await governance.getVotingPower(voter.address)).to.equal(ethers.parseEther("50000"));
+        });
+
+        it("Should report the revert reason of a failing simulation", async function () {
+            const { token, voter, address } = await loadFixture(deployGovernanceFixture);
+            await hre.run("gov:propose", { file: await mintProposalFile(token, voter), governance: address, send: true });
+
+            await expect(hre.run("gov:vote", { id: 1, support: "for", reason: "", governance: address }))
+                .to.be.rejectedWith("vote would revert: Voting not started");
+            await expect(hre.run("gov:queue", { id: 1, governance: address }))
+                .to.be.rejectedWith("queueProposal would revert: Voting not ended");
+            await expect(hre.run("gov:execute", { id: 1, governance: address }))
+                .to.be.rejectedWith("executeProposal would revert");
+            await expect(hre.run("gov:vote", { id: 1, support: "maybe", reason: "", governance: address }))
+                .to.be.rejectedWith('Unknown support "maybe"');
+        });
+
+        it("Should cancel a proposal", async function () {
+            const { token, voter, address } = await loadFixture(deployGovernanceFixture);
+            await hre.run("gov:propose", { file: await mintProposalFile(token, voter), governance: address, send: true });
+
+            await hre.run("gov:cancel", { id: 1, governance: address, send: true });
+            expect(await hre.run("gov:state", { id: 1, governance: address })).to.equal("Cancelled");
+        });
+    });
+});
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Treasury", function () {
+    const ETH = ethers.ZeroAddress;
+    const STREAM_DURATION = 100 * 24 * 60 * 60; // 100 days
+
+    // The governance role is played by a plain account; Governance.test.js covers calls from executed proposals
+    async function deployTreasuryFixture() {
+        const [governance, recipient, other] = await ethers.getSigners();
+
+        const Treasury = await ethers.getContractFactory("Treasury");
+        const treasury = await Treasury.deploy(governance.address);
+        const treasuryAddress = await treasury.getAddress();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Grant Token", "GRANT");
+        await token.mint(treasuryAddress, ethers.parseEther("1000"));
+
+        const MockERC721 = await ethers.getContractFactory("MockERC721");
+        const nft = await MockERC721.deploy("DAO Art", "ART");
+
+        const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+        const multiToken = await MockERC1155.deploy();
+
+        await governance.sendTransaction({ to: treasuryAddress, value: ethers.parseEther("10") });
+
+        return { treasury, token, nft, multiToken, governance, recipient, other };
+    }
+
+    async function streamFixture() {
+        const result = await loadFixture(deployTreasuryFixture);
+        const { treasury, token, recipient } = result;
+
+        const startTime = (await time.latest()) + 10;
+        await treasury.createStream(recipient.address, await token.getAddress(), ethers.parseEther("100"), startTime, STREAM_DURATION);
+
+        return { ...result, streamId: 1, startTime };
+    }
+
+    describe("Deployment", function () {
+        it("Should set the governance address", async function () {
+            const { treasury, governance } = await loadFixture(deployTreasuryFixture);
+            expect(await treasury.governance()).to.equal(governance.address);
+        });
+
+        it("Should revert with zero governance address", async function () {
+            const Treasury = await ethers.getContractFactory("Treasury");
+            await expect(Treasury.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid governance address");
+        });
+    });
+
+    describe("Custody", function () {
+        it("Should receive ETH", async function () {
+            const { treasury, other } = await loadFixture(deployTreasuryFixture);
+            const amount = ethers.parseEther("1");
+
+            await expect(other.sendTransaction({ to: await treasury.getAddress(), value: amount }))
+                .to.emit(treasury, "ETHReceived")
+                .withArgs(other.address, amount);
+            expect(await treasury.balanceOf(ETH)).to.equal(ethers.parseEther("11"));
+        });
+
+        it("Should report ERC-20 balances", async function () {
+            const { treasury, token } = await loadFixture(deployTreasuryFixture);
+            expect(await treasury.balanceOf(await token.getAddress())).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should accept safe ERC-721 transfers", async function () {
+            const { treasury, nft, other } = await loadFixture(deployTreasuryFixture);
+            const nftAddress = await nft.getAddress();
+
+            await nft.mint(other.address, 7);
+            await nft.connect(other)["safeTransferFrom(address,address,uint256)"](other.address, await treasury.getAddress(), 7);
+
+            expect(await treasury.ownsERC721(nftAddress, 7)).to.be.true;
+            expect(await treasury.erc721Balance(nftAddress)).to.equal(1);
+        });
+
+        it("Should accept ERC-1155 transfers", async function () {
+            const { treasury, multiToken, other } = await loadFixture(deployTreasuryFixture);
+
+            await multiToken.mint(other.address, 3, 50);
+            await multiToken.connect(other).safeTransferFrom(other.address, await treasury.getAddress(), 3, 20, "0x");
+
+            expect(await treasury.erc1155Balance(await multiToken.getAddress(), 3)).to.equal(20);
+        });
+    });
+
+    describe("Transfers", function () {
+        it("Should let governance transfer ETH", async function () {
+            const { treasury, other } = await loadFixture(deployTreasuryFixture);
+            const amount = ethers.parseEther("2");
+
+            const tx = treasury.transferETH(other.address, amount);
+            await expect(tx).to.emit(treasury, "ETHTransferred").withArgs(other.address, amount);
+            await expect(tx).to.changeEtherBalances([treasury, other], [-amount, amount]);
+        });
+
+        it("Should let governance transfer ERC-20 tokens", async function () {
+            const { treasury, token, other } = await loadFixture(deployTreasuryFixture);
+            const amount = ethers.parseEther("250");
+
+            await expect(treasury.transferERC20(await token.getAddress(), other.address, amount))
+                .to.changeTokenBalances(token, [treasury, other], [-amount, amount]);
+        });
+
+        it("Should let governance transfer NFTs", async function () {
+            const { treasury, nft, multiToken, other } = await loadFixture(deployTreasuryFixture);
+            const treasuryAddress = await treasury.getAddress();
+            await nft.mint(treasuryAddress, 1);
+            await multiToken.mint(treasuryAddress, 2, 10);
+
+            await expect(treasury.transferERC721(await nft.getAddress(), other.address, 1))
+                .to.emit(treasury, "ERC721Transferred")
+                .withArgs(await nft.getAddress(), other.address, 1);
+            await expect(treasury.transferERC1155(await multiToken.getAddress(), other.address, 2, 4, "0x"))
+                .to.emit(treasury, "ERC1155Transferred")
+                .withArgs(await multiToken.getAddress(), other.address, 2, 4);
+
+            expect(await nft.ownerOf(1)).to.equal(other.address);
+            expect(await treasury.erc1155Balance(await multiToken.getAddress(), 2)).to.equal(6);
+        });
+
+        it("Should revert transfers from anyone but governance", async function () {
+            const { treasury, token, nft, other } = await loadFixture(deployTreasuryFixture);
+
+            await expect(treasury.connect(other).transferETH(other.address, 1)).to.be.revertedWith("Only governance");
+            await expect(treasury.connect(other).transferERC20(await token.getAddress(), other.address, 1))
+                .to.be.revertedWith("Only governance");
+            await expect(treasury.connect(other).transferERC721(await nft.getAddress(), other.address, 1))
+                .to.be.revertedWith("Only governance");
+        });
+
+        it("Should revert transfers to the zero address", async function () {
+            const { treasury, token } = await loadFixture(deployTreasuryFixture);
+
+            await expect(treasury.transferETH(ethers.ZeroAddress, 1)).to.be.revertedWith("Invalid recipient");
+            await expect(treasury.transferERC20(await token.getAddress(), ethers.ZeroAddress, 1))
+                .to.be.revertedWith("Invalid recipient");
+        });
+
+        it("Should not spend funds reserved for streams", async function () {
+            const { treasury, token, other } = await loadFixture(streamFixture);
+            const tokenAddress = await token.getAddress();
+
+            expect(await treasury.reserved(tokenAddress)).to.equal(ethers.parseEther("100"));
+            expect(await treasury.availableBalance(tokenAddress)).to.equal(ethers.parseEther("900"));
+            await expect(treasury.transferERC20(tokenAddress, other.address, ethers.parseEther("901")))
+                .to.be.revertedWith("Insufficient available balance");
+        });
+    });
+
+    describe("Streams", function () {
+        it("Should create a stream", async function () {
+            const { treasury, token, recipient, streamId, startTime } = await loadFixture(streamFixture);
+
+            const stream = await treasury.getStream(streamId);
+            expect(stream.recipient).to.equal(recipient.address);
+            expect(stream.token).to.equal(await token.getAddress());
+            expect(stream.amount).to.equal(ethers.parseEther("100"));
+            expect(stream.startTime).to.equal(startTime);
+            expect(await treasury.streamCount()).to.equal(1);
+        });
+
+        it("Should vest linearly and let anyone trigger the payout", async function () {
+            const { treasury, token, recipient, other, streamId, startTime } = await loadFixture(streamFixture);
+
+            expect(await treasury.withdrawableFromStream(streamId)).to.equal(0);
+
+            await time.increaseTo(startTime + STREAM_DURATION / 4);
+            // The withdrawal is mined one second later than the increase
+            const expected = ethers.parseEther("100") * BigInt(STREAM_DURATION / 4 + 1) / BigInt(STREAM_DURATION);
+            await expect(treasury.connect(other).withdrawFromStream(streamId))
+                .to.changeTokenBalance(token, recipient, expected);
+
+            await time.increaseTo(startTime + STREAM_DURATION);
+            await expect(treasury.withdrawFromStream(streamId))
+                .to.changeTokenBalance(token, recipient, ethers.parseEther("100") - expected);
+            expect(await treasury.reserved(await token.getAddress())).to.equal(0);
+            await expect(treasury.withdrawFromStream(streamId)).to.be.revertedWith("Nothing to withdraw");
+        });
+
+        it("Should stream ETH", async function () {
+            const { treasury, recipient } = await loadFixture(deployTreasuryFixture);
+            const startTime = await time.latest();
+
+            await treasury.createStream(recipient.address, ETH, ethers.parseEther("1"), startTime, 10);
+            await time.increase(10);
+
+            await expect(treasury.withdrawFromStream(1)).to.changeEtherBalance(recipient, ethers.parseEther("1"));
+        });
+
+        it("Should pay the vested part and release the rest on cancellation", async function () {
+            const { treasury, token, recipient, streamId, startTime } = await loadFixture(streamFixture);
+
+            await time.setNextBlockTimestamp(startTime + STREAM_DURATION / 2);
+            const half = ethers.parseEther("50");
+            await expect(treasury.cancelStream(streamId))
+                .to.emit(treasury, "StreamCancelled")
+                .withArgs(streamId, half, half);
+
+            expect(await token.balanceOf(recipient.address)).to.equal(half);
+            expect(await treasury.reserved(await token.getAddress())).to.equal(0);
+            await expect(treasury.withdrawFromStream(streamId)).to.be.revertedWith("Stream cancelled");
+            await expect(treasury.cancelStream(streamId)).to.be.revertedWith("Stream cancelled");
+        });
+
+        it("Should revert streams the treasury cannot fund", async function () {
+            const { treasury, token, recipient } = await loadFixture(deployTreasuryFixture);
+            const startTime = await time.latest();
+
+            await expect(treasury.createStream(recipient.address, await token.getAddress(), ethers.parseEther("1001"), startTime, 10))
+                .to.be.revertedWith("Insufficient available balance");
+            await expect(treasury.createStream(recipient.address, ETH, 0, startTime, 10))
+                .to.be.revertedWith("Invalid amount");
+            await expect(treasury.createStream(recipient.address, ETH, 1, startTime, 0))
+                .to.be.revertedWith("Invalid duration");
+        });
+
+        it("Should only let governance create and cancel streams", async function () {
+            const { treasury, other, streamId } = await loadFixture(streamFixture);
+
+            await expect(treasury.connect(other).createStream(other.address, ETH, 1, 0, 10))
+                .to.be.revertedWith("Only governance");
+            await expect(treasury.connect(other).cancelStream(streamId)).to.be.revertedWith("Only governance");
+        });
+
+        it("Should revert for unknown streams", async function () {
+            const { treasury } = await loadFixture(deployTreasuryFixture);
+
+            await expect(treasury.getStream(1)).to.be.revertedWith("Stream does not exist");
+            await expect(treasury.withdrawFromStream(0)).to.be.revertedWith("Stream does not exist");
+        });
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployGovernanceLibraries, getGovernanceFactory } = require("../scripts/lib/libraries");
+const { encodeAction } = require("../scripts/lib/actions");
+const {
+    UPGRADE_OPTIONS,
+    getProxyAdmin,
+    upgradeAction,
+    governanceStorageLayout,
+    recordExecutedUpgrade,
+    loadStorageLayout,
+    assertStorageCompatible
+} = require("../scripts/lib/upgrades");
+const { deployGovernanceWithToken, executeThroughProposal } = require("./helpers/governance");
+
+describe("Upgrades", function () {
+    async function deployProxyFixture() {
+        const [owner, holder, other] = await ethers.getSigners();
+
+        const { token, governance, initializerArgs } = await deployGovernanceWithToken(hre);
+        const proxyAddress = await governance.getAddress();
+
+        await token.mint(holder.address, ethers.parseEther("50000"));
+        await governance.connect(holder).delegate(owner.address);
+
+        return { governance, token, owner, holder, other, proxyAddress, initializerArgs };
+    }
+
+    // Runs an upgrade to `implementation` through a proposal, the only way the ProxyAdmin accepts
+    async function upgradeThroughProposal(governance, proxyAddress, implementation, migrationData) {
+        const action = encodeAction(await upgradeAction(hre, proxyAddress, implementation, migrationData));
+        const { proposalId } = await executeThroughProposal(governance, [action], { title: "Upgrade governance" });
+        return proposalId;
+    }
+
+    async function prepareV2() {
+        const libraries = await deployGovernanceLibraries(ethers);
+        return ethers.getContractFactory("MockGovernanceV2", { libraries });
+    }
+
+    describe("Proxy", function () {
+        it("Should deploy behind a transparent proxy administered by governance", async function () {
+            const { proxyAddress } = await loadFixture(deployProxyFixture);
+
+            const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+            expect(implementation).to.not.equal(proxyAddress);
+
+            const proxyAdmin = await getProxyAdmin(hre, proxyAddress);
+            expect(await proxyAdmin.owner()).to.equal(proxyAddress);
+        });
+
+        it("Should not initialize twice or initialize the implementation", async function () {
+            const { governance, proxyAddress, initializerArgs } = await loadFixture(deployProxyFixture);
+
+            await expect(governance.initialize(...initializerArgs))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+
+            const Governance = await getGovernanceFactory(ethers);
+            const implementation = Governance.attach(await upgrades.erc1967.getImplementationAddress(proxyAddress));
+            await expect(implementation.initialize(...initializerArgs))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("Should reject upgrades that do not come from an executed proposal", async function () {
+            const { proxyAddress } = await loadFixture(deployProxyFixture);
+            const V2 = await prepareV2();
+            const implementation = await upgrades.prepareUpgrade(proxyAddress, V2, UPGRADE_OPTIONS);
+
+            const proxyAdmin = await getProxyAdmin(hre, proxyAddress);
+            await expect(proxyAdmin.upgradeAndCall(proxyAddress, implementation, "0x")).to.be.reverted;
+        });
+
+        it("Should upgrade through an executed proposal and keep all state", async function () {
+            const { governance, owner, holder, proxyAddress } = await loadFixture(deployProxyFixture);
+            const V2 = await prepareV2();
+            const implementation = await upgrades.prepareUpgrade(proxyAddress, V2, UPGRADE_OPTIONS);
+
+            const migrationData = V2.interface.encodeFunctionData("initializeV2", [7]);
+            const proposalId = await upgradeThroughProposal(governance, proxyAddress, implementation, migrationData);
+
+            expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(implementation);
+            const upgraded = V2.attach(proxyAddress);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.state(proposalId)).to.equal(8); // Executed
+            expect((await upgraded.getReceipt(proposalId, owner.address)).hasVoted).to.be.true;
+            expect(await upgraded.votingPower(owner.address)).to.equal(ethers.parseEther("50000"));
+            expect((await upgraded.delegates(holder.address)).delegate).to.equal(owner.address);
+            expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), proxyAddress)).to.be.true;
+
+            expect(await upgraded.upgradeNote()).to.equal(7);
+            await expect(upgraded.initializeV2(8)).to.be.revertedWith("Initializable: contract is already initialized");
+        });
+    });
+
+    describe("Deployment Record", function () {
+        it("Should keep a prepared implementation pending until its upgrade executes", async function () {
+            const { governance, proxyAddress } = await loadFixture(deployProxyFixture);
+            const original = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+            const V2 = await prepareV2();
+            const implementation = await upgrades.prepareUpgrade(proxyAddress, V2, UPGRADE_OPTIONS);
+
+            const deploymentInfo = {
+                contractAddress: proxyAddress,
+                implementationAddress: original,
+                implementations: [{ address: original }],
+                pendingImplementation: { address: implementation }
+            };
+            expect(await recordExecutedUpgrade(hre, deploymentInfo)).to.be.false;
+            expect(deploymentInfo.implementations).to.deep.equal([{ address: original }]);
+
+            const migrationData = V2.interface.encodeFunctionData("initializeV2", [7]);
+            await upgradeThroughProposal(governance, proxyAddress, implementation, migrationData);
+
+            expect(await recordExecutedUpgrade(hre, deploymentInfo)).to.be.true;
+            expect(deploymentInfo).to.deep.equal({
+                contractAddress: proxyAddress,
+                implementationAddress: implementation,
+                implementations: [{ address: original }, { address: implementation }]
+            });
+            expect(await recordExecutedUpgrade(hre, deploymentInfo)).to.be.false;
+        });
+    });
+
+    describe("Storage Layout", function () {
+        it("Should stay compatible with the recorded release layout", async function () {
+            const layout = await governanceStorageLayout(hre);
+            expect(() => assertStorageCompatible(loadStorageLayout(), layout)).to.not.throw();
+        });
+
+        it("Should reject layouts that move existing variables", async function () {
+            const original = loadStorageLayout();
+            const updated = structuredClone(original);
+            // Dropping a variable shifts everything declared after it
+            const index = updated.storage.findIndex((item) => item.contract === "Governance");
+            updated.storage.splice(index, 1);
+
+            expect(() => assertStorageCompatible(original, updated)).to.throw();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployGovernanceProxy } = require("../../scripts/lib/upgrades");
+
+// Governance parameters the test suites deploy with
+const VOTING_DELAY = 24 * 60 * 60; // 1 day
+const VOTING_PERIOD = 3 * 24 * 60 * 60; // 3 days
+const EXECUTION_DELAY = 24 * 60 * 60; // 1 day
+const GRACE_PERIOD = 14 * 24 * 60 * 60; // 14 days
+const PROPOSAL_THRESHOLD = ethers.parseEther("1000");
+const QUORUM_NUMERATOR = 400n; // 4% of total supply
+const GOVERNANCE_PARAMS = [VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, QUORUM_NUMERATOR, true, EXECUTION_DELAY];
+
+/**
+ * Deploy a mock governance token and a Governance proxy that votes with it, using GOVERNANCE_PARAMS.
+ * `tokenContract` names the token mock; `guardian` defaults to none.
+ */
+async function deployGovernanceWithToken(hre, { tokenContract = "MockERC20", guardian = ethers.ZeroAddress } = {}) {
+    const Token = await hre.ethers.getContractFactory(tokenContract);
+    const token = await Token.deploy("Governance Token", "GOV");
+    const initializerArgs = [await token.getAddress(), ...GOVERNANCE_PARAMS, guardian];
+    const governance = await deployGovernanceProxy(hre, initializerArgs);
+
+    return { token, governance, initializerArgs };
+}
+
+/**
+ * Create a proposal, vote for it, queue it and wait out the execution delay, leaving it ready to execute.
+ * `proposer` and `voter` default to the signer `governance` is connected to; the voter's weight must carry the vote.
+ */
+async function passProposal(governance, actions, { proposer, voter, executionMode = 0, title = "Proposal" } = {}) {
+    const asProposer = proposer ? governance.connect(proposer) : governance;
+    const asVoter = voter ? governance.connect(voter) : governance;
+
+    await asProposer.createProposalWithMode(title, "Passed by the test suite", actions, executionMode);
+    const proposalId = await governance.getTotalProposalCount();
+
+    await time.increase(VOTING_DELAY);
+    await asVoter.vote(proposalId, 1, "");
+    await time.increase(VOTING_PERIOD);
+    await governance.queueProposal(proposalId);
+    await time.increase(EXECUTION_DELAY);
+
+    return proposalId;
+}
+
+/**
+ * Pass a proposal as `passProposal` does and execute it, returning its ID and the execution receipt
+ */
+async function executeThroughProposal(governance, actions, options) {
+    const proposalId = await passProposal(governance, actions, options);
+    const receipt = await (await governance.executeProposal(proposalId)).wait();
+    return { proposalId, receipt };
+}
+
+module.exports = {
+    VOTING_DELAY,
+    VOTING_PERIOD,
+    EXECUTION_DELAY,
+    GRACE_PERIOD,
+    PROPOSAL_THRESHOLD,
+    QUORUM_NUMERATOR,
+    GOVERNANCE_PARAMS,
+    deployGovernanceWithToken,
+    passProposal,
+    executeThroughProposal
+};